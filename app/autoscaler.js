@@ -0,0 +1,231 @@
+const _ = require('lodash');
+
+// Bounds of each value the autoscaler controls, and limits of the signals it watches, unless configured otherwise
+const DEFAULT_SETTINGS = {
+  bulkActions:      {
+    min: 25,
+    max: 2000
+  },
+  bulkConcurrency:  {
+    min: 1,
+    max: 4
+  },
+  workers:          {
+    min: 1,
+    max: Infinity
+  },
+  maxScrollLatency: 5 * 1000,
+  maxBulkLatency:   10 * 1000,
+  maxRejectionRate: 0.01
+};
+const BOUNDED_SETTINGS = [
+  'bulkActions',
+  'bulkConcurrency',
+  'workers'
+];
+const SETTING_NAMES    = _.keys(DEFAULT_SETTINGS);
+
+// Bulks a worker observes between adjustments of its sizes
+const ADJUST_EVERY = 5;
+
+// Growth of the bulk size after bulks without pressure
+const BULK_GROWTH = 1.25;
+
+/**
+ * Get the autoscale settings: the defaults, overridden by those configured, eg {workers: {min: 2, max: 6}}
+ *
+ * @param configured
+ * @returns {{}}
+ */
+const getSettings = (configured)=> {
+  if (!_.isPlainObject(configured)) {
+    throw new Error('autoscale must be an object');
+  }
+
+  _.forEach(configured, (value, name)=> {
+    if (!_.includes(SETTING_NAMES, name)) {
+      throw new Error(`autoscale: '${name}' not one of: [${_.join(SETTING_NAMES, ',')}]`);
+    } else if (_.includes(BOUNDED_SETTINGS, name)) {
+      validateBounds(_.assign({}, DEFAULT_SETTINGS[name], value), name);
+    } else if (!_.isNumber(value) || !(value > 0)) {
+      throw new Error(`autoscale: ${name} must be a number gt 0`);
+    }
+  });
+
+  return _.reduce(configured, (result, value, name)=> {
+    result[name] = _.includes(BOUNDED_SETTINGS, name) ? _.assign({}, DEFAULT_SETTINGS[name], value) : value;
+    return result;
+  }, _.cloneDeep(DEFAULT_SETTINGS));
+};
+
+/**
+ * Check bounds are {min, max} integers gte 1, with min lte max
+ *
+ * @param bounds
+ * @param name
+ */
+const validateBounds = (bounds, name)=> {
+  const isBound = (value)=> {
+    return (_.isInteger(value) || value === Infinity) && value >= 1;
+  };
+
+  if (!isBound(bounds.min) || !isBound(bounds.max) || bounds.min > bounds.max || _.size(bounds) !== 2) {
+    throw new Error(`autoscale: ${name} must be {min, max} of integers gte 1, with min lte max`);
+  }
+};
+
+/**
+ * Adjusts the bulk size and bulks in flight of one worker, from what it observes of the bulks it sends
+ *
+ * Any rejection rate or bulk latency over the limits is pressure from the destination: the bulks in flight are halved,
+ * and once at the minimum, the bulk size. Otherwise, unless scroll latency over the limit shows pressure from the
+ * source, the bulk size grows, and once at the maximum, the bulks in flight by one.
+ *
+ * @param settings
+ * @param sizes
+ * @constructor
+ */
+const SizeController = function (settings, sizes) {
+  const self = this;
+
+  const current = {
+    bulkActions:     _.clamp(sizes.bulkActions, settings.bulkActions.min, settings.bulkActions.max),
+    bulkConcurrency: _.clamp(sizes.bulkConcurrency, settings.bulkConcurrency.min, settings.bulkConcurrency.max)
+  };
+
+  let status = _.assign({
+    scrollLatency: null,
+    bulkLatency:   null,
+    rejectionRate: null,
+    pressure:      null,
+    at:            null
+  }, current);
+
+  let observed = createWindow();
+
+  self.getSizes = ()=> {
+    return _.clone(current);
+  };
+
+  self.getStatus = ()=> {
+    return _.clone(status);
+  };
+
+  /**
+   * Take note of a bulk that is done, as summarized by the transfer. Returns the new sizes if they were adjusted.
+   *
+   * @param summary
+   * @returns {*}
+   */
+  self.observe = (summary)=> {
+    observed.bulks++;
+    observed.transferred += summary.tick || 0;
+    observed.rejected += summary.bulkRejected || 0;
+    observed.bulkLatency += summary.bulkLatency || 0;
+
+    if (_.isNumber(summary.scrollLatency)) {
+      observed.scrolls++;
+      observed.scrollLatency += summary.scrollLatency;
+    }
+
+    if (observed.bulks < ADJUST_EVERY) {
+      return null;
+    }
+
+    const evaluated = evaluate(observed, current, settings);
+    observed        = createWindow();
+    status          = _.assign(evaluated.status, {at: Date.now()}, evaluated.sizes);
+
+    if (_.isEqual(evaluated.sizes, current)) {
+      return null;
+    }
+
+    _.assign(current, evaluated.sizes);
+    return self.getSizes();
+  };
+};
+
+/**
+ * Totals of what a worker observed since its last adjustment
+ *
+ * @returns {{}}
+ */
+const createWindow = ()=> {
+  return {
+    bulks:         0,
+    transferred:   0,
+    rejected:      0,
+    bulkLatency:   0,
+    scrolls:       0,
+    scrollLatency: 0
+  };
+};
+
+/**
+ * Get the sizes that follow from what was observed, and the status that led to them
+ *
+ * @param observed
+ * @param sizes
+ * @param settings
+ * @returns {{sizes: {}, status: {}}}
+ */
+const evaluate = (observed, sizes, settings)=> {
+  const sent   = observed.transferred + observed.rejected;
+  const status = {
+    scrollLatency: observed.scrolls > 0 ? Math.round(observed.scrollLatency / observed.scrolls) : null,
+    bulkLatency:   observed.bulks > 0 ? Math.round(observed.bulkLatency / observed.bulks) : null,
+    rejectionRate: sent > 0 ? observed.rejected / sent : 0,
+    pressure:      null
+  };
+  const result = _.clone(sizes);
+
+  if (status.rejectionRate > settings.maxRejectionRate || status.bulkLatency > settings.maxBulkLatency) {
+    status.pressure = 'destination';
+
+    if (result.bulkConcurrency > settings.bulkConcurrency.min) {
+      result.bulkConcurrency = Math.max(settings.bulkConcurrency.min, Math.floor(result.bulkConcurrency / 2));
+    } else {
+      result.bulkActions = Math.max(settings.bulkActions.min, Math.floor(result.bulkActions / 2));
+    }
+  } else if (status.scrollLatency > settings.maxScrollLatency) {
+    // Writing faster would not help, it is up to fewer workers to take load off the source
+    status.pressure = 'source';
+  } else if (result.bulkActions < settings.bulkActions.max) {
+    result.bulkActions = Math.min(settings.bulkActions.max, Math.ceil(result.bulkActions * BULK_GROWTH));
+  } else if (result.bulkConcurrency < settings.bulkConcurrency.max) {
+    result.bulkConcurrency++;
+  }
+
+  return {
+    sizes:  result,
+    status: status
+  };
+};
+
+/**
+ * Get the number of workers that should be active, out of the started ones, from the statuses of the active workers
+ *
+ * One less if any of them is under pressure, one more otherwise, within the configured bounds.
+ *
+ * @param active
+ * @param statuses
+ * @param settings
+ * @param started
+ * @returns {number}
+ */
+const getActiveWorkers = (active, statuses, settings, started)=> {
+  const max = Math.min(settings.workers.max, started);
+  const min = Math.min(settings.workers.min, max);
+
+  const underPressure = _.some(statuses, (status)=> {
+    return !_.isNull(status.pressure);
+  });
+
+  return _.clamp(underPressure ? active - 1 : active + 1, min, max);
+};
+
+module.exports = {
+  getSettings:      getSettings,
+  getActiveWorkers: getActiveWorkers,
+  SizeController:   SizeController
+};
@@ -0,0 +1,633 @@
+/*eslint no-console: "off" */
+const _       = require('lodash');
+const path    = require('path');
+const stdio   = require('stdio');
+const Promise = require('bluebird');
+
+const Job            = require('./job');
+const Manager        = require('./manager');
+const Transfer       = require('./transfer');
+const rateLimiter    = require('./rateLimiter');
+const utils          = require('../config/utils');
+const SCHEMA         = require('../config/schema');
+const createStore    = require('../config/store');
+const createEsClient = require('../config/elasticsearch.js');
+
+const DEFAULT_REDIS_PORT = 6379;
+
+// Docs sampled from each index/type by verify, unless --size is given
+const DEFAULT_VERIFY_SIZE = 10;
+
+// Configuration options that are objects of their own, and get dedicated flags instead
+const STRUCTURED_OPTIONS = [
+  'source',
+  'destination',
+  'redis',
+  'store'
+];
+
+const SHORT_KEYS = {
+  indices:     'i',
+  data:        'd',
+  templates:   't',
+  concurrency: 'c',
+  mutators:    'm'
+};
+
+const DESCRIPTIONS = {
+  indices:          'Index configurations to transfer, eg \'*\'',
+  data:             'Indices to transfer the data of, eg \'logs-*\'',
+  templates:        'Templates to transfer',
+  concurrency:      'Number of workers, up to the number of CPUs',
+  mutators:         'Path to a mutator, or a directory of them',
+  indexFilter:      'Path to an index filter function, or a regex of indices',
+  indexComparator:  'Path to an index comparator function',
+  typeFilter:       'Path to a type filter function, or a regex of types',
+  runId:            'Namespace all state of the run under this id',
+  maxAttempts:      'Times a job is attempted before it is marked as failed',
+  checkpointField:  'Field to checkpoint jobs on, so they resume where they stopped',
+  splitByShard:     'Create one job per primary shard',
+  slices:           'Number of sliced scroll slices per index/type, or auto',
+  partition:        'JSON of the partition, eg {"field":"date","interval":"1d"}',
+  since:            'Field, or JSON of index patterns to fields, to transfer only docs modified since the last run',
+  query:            'JSON of the query docs must match',
+  queries:          'JSON of index patterns to the queries their docs must match, instead of query',
+  sync:             'Keep transferring new docs until cutover',
+  syncInterval:     'Seconds between sync rounds',
+  join:             'Join a run started on another node',
+  dryRun:           'Print what would be transferred, without writing anything',
+  indexConflict:    'When an index exists in the destination: fail, skip, recreate or updateMappings',
+  templateConflict: 'When a template exists in the destination: fail, skip, recreate or updateMappings',
+  upgradeMappings:  'Upgrade index and template mappings to this version: 5.x or 6.x',
+  sizes:            'JSON of scroll and bulk sizes, eg {"scrollSize":500,"bulkBytes":5242880}',
+  autoscale:        'JSON of autoscale bounds, eg {"workers":{"min":1,"max":4}}',
+  rateLimits:       'JSON of rate limits across every node, eg {"docsPerSecond":1000,"bytesPerSecond":5242880}',
+  deadLetter:       'JSON of where to set aside docs that fail, eg {"type":"file","path":"./dead.ndjson"}'
+};
+
+/**
+ * Build a flag for every option of the configuration schema that is not structured
+ *
+ * @returns {{}}
+ */
+const createSchemaOptions = ()=> {
+  return _.reduce(_.omit(SCHEMA.properties, STRUCTURED_OPTIONS), (result, schema, name)=> {
+    const option = {description: DESCRIPTIONS[name] || `${_.castArray(schema.type).join(' or ')}`};
+
+    if (!_.isEqual(schema.type, 'boolean')) {
+      option.args = 1;
+    }
+
+    if (SHORT_KEYS[name]) {
+      option.key = SHORT_KEYS[name];
+    }
+
+    result[name] = option;
+    return result;
+  }, {});
+};
+
+// Options locating the state of a run, shared by every command
+const STORE_OPTIONS = {
+  config: {
+    key:         'f',
+    args:        1,
+    description: 'Configuration file (.json or .js) to read options from, flags override it'
+  },
+  redis:  {
+    args:        1,
+    description: 'Redis host[:port] holding the state, localhost:6379 by default'
+  },
+  store:  {
+    args:        1,
+    description: 'Path of a file store holding the state, instead of redis'
+  },
+  runId:  {
+    key:         'r',
+    args:        1,
+    description: 'Id of the run'
+  }
+};
+
+const RUN_OPTIONS = _.assign({
+  source:        {
+    key:         's',
+    args:        1,
+    description: 'Source elasticsearch host'
+  },
+  sourceVersion: {
+    args:        1,
+    description: 'API version of the source, eg 1.4'
+  },
+  dest:          {
+    args:        1,
+    description: 'Destination elasticsearch host'
+  },
+  destVersion:   {
+    args:        1,
+    description: 'API version of the destination, eg 2.2'
+  }
+}, createSchemaOptions(), STORE_OPTIONS);
+
+const JOBS_OPTIONS = _.assign({
+  state: {
+    args:        1,
+    description: 'Only list jobs in this state: backlog, progress, completed or failed'
+  },
+  index: {
+    args:        1,
+    description: 'Only list jobs of indices matching this pattern'
+  },
+  type:  {
+    args:        1,
+    description: 'Only list jobs of this type'
+  }
+}, STORE_OPTIONS);
+
+const RESET_OPTIONS = _.assign({
+  completed: {description: 'Clear completed jobs and checkpoints, so they are transferred again'},
+  backlog:   {description: 'Clear the backlog and jobs in progress'},
+  failed:    {description: 'Clear failed jobs and attempts'}
+}, STORE_OPTIONS);
+
+const LIMIT_OPTIONS = _.assign({
+  docs:  {
+    args:        1,
+    description: 'Max docs scrolled per second, across every node of the run'
+  },
+  bytes: {
+    args:        1,
+    description: 'Max bytes scrolled per second, across every node of the run'
+  }
+}, STORE_OPTIONS);
+
+const VERIFY_OPTIONS = _.assign(_.pick(RUN_OPTIONS, [
+  'source',
+  'sourceVersion',
+  'dest',
+  'destVersion',
+  'data',
+  'mutators',
+  'indexFilter',
+  'typeFilter',
+  'query',
+  'queries',
+  'config'
+]), {
+  size: {
+    key:         'n',
+    args:        1,
+    description: `Number of docs to sample from each index/type, ${DEFAULT_VERIFY_SIZE} by default`
+  }
+});
+
+/**
+ * Convert the string value of a flag to the type expected by the schema: JSON for objects and arrays, and numbers
+ *
+ * @param name
+ * @param value
+ * @returns {*}
+ */
+const parseOptionValue = (name, value)=> {
+  const types = _.castArray(SCHEMA.properties[name].type);
+
+  if (value === true) {
+    return value;
+  }
+
+  if ((_.includes(types, 'object') || _.includes(types, 'array')) && /^[\[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`${name} must be valid JSON: ${error.message}`);
+    }
+  }
+
+  if ((_.includes(types, 'integer') || _.includes(types, 'number')) && /^-?[0-9]+(\.[0-9]+)?$/.test(value)) {
+    return Number(value);
+  }
+
+  return value;
+};
+
+/**
+ * Parse redis host[:port]
+ *
+ * @param host
+ * @returns {{hostname: *, port: Number}}
+ */
+const parseRedis = (host)=> {
+  const parts = host.split(':');
+
+  return {
+    hostname: parts[0],
+    port:     parts[1] ? parseInt(parts[1]) : DEFAULT_REDIS_PORT
+  };
+};
+
+/**
+ * Read the configuration file if one was given, then apply the source, destination and store flags over it
+ *
+ * @param options
+ * @returns {{}}
+ */
+const createConfiguration = (options)=> {
+  const configuration = options.config ? _.cloneDeep(require(utils.parsePath(options.config))) : {};
+
+  if (options.source || options.sourceVersion) {
+    configuration.source = _.assign({}, configuration.source, _.omitBy({
+      host:       options.source,
+      apiVersion: options.sourceVersion
+    }, _.isUndefined));
+  }
+
+  if (options.dest || options.destVersion) {
+    configuration.destination = _.assign({}, configuration.destination, _.omitBy({
+      host:       options.dest,
+      apiVersion: options.destVersion
+    }, _.isUndefined));
+  }
+
+  if (options.store) {
+    configuration.store = {
+      type: 'file',
+      path: options.store
+    };
+  } else if (options.redis) {
+    configuration.redis = parseRedis(options.redis);
+  } else if (!configuration.redis && !configuration.store) {
+    configuration.redis = parseRedis('localhost');
+  }
+
+  if (options.runId) {
+    configuration.runId = options.runId;
+  }
+
+  return configuration;
+};
+
+/**
+ * Build the configuration of a run from parsed flags, the configuration file they point at, and schema options
+ *
+ * @param options
+ * @returns {{}}
+ */
+const createRunConfiguration = (options)=> {
+  const configuration = createConfiguration(options);
+
+  _.forEach(_.keys(_.omit(SCHEMA.properties, STRUCTURED_OPTIONS)), (name)=> {
+    if (_.has(options, name)) {
+      configuration[name] = parseOptionValue(name, options[name]);
+    }
+  });
+
+  return configuration;
+};
+
+/**
+ * Build the configuration of a run from command line arguments
+ *
+ * @param argv
+ * @returns {{}}
+ */
+const parseRunOptions = (argv)=> {
+  return createRunConfiguration(stdio.getopt(RUN_OPTIONS, 'multi-reindex run [OPTIONS]', argv));
+};
+
+/**
+ * Create a manager for the run the options point at, without an elasticsearch source
+ *
+ * @param options
+ * @returns {Manager}
+ */
+const createManager = (options)=> {
+  const configuration = createConfiguration(options);
+  const storeConfig   = configuration.store && configuration.store.type === 'file' ? configuration.store : configuration.redis;
+
+  if (storeConfig.type === 'file') {
+    storeConfig.path = utils.parsePath(storeConfig.path);
+  }
+
+  return new Manager(null, createStore(storeConfig), configuration.runId);
+};
+
+/**
+ * Start a run, exactly as if index.js was called with the configuration
+ *
+ * @param argv
+ * @returns {Promise.<TResult>}
+ */
+const run = (argv)=> {
+  const create = require('../index');
+
+  return Promise.try(()=> {
+    return create(parseRunOptions(argv));
+  }).catch((error)=> {
+    console.error(error.message);
+    process.exit(1);
+  });
+};
+
+/**
+ * Print the totals of the run, its nodes, and every other run in the store
+ *
+ * @param argv
+ * @returns {Promise.<TResult>}
+ */
+const status = (argv)=> {
+  const options = stdio.getopt(STORE_OPTIONS, 'multi-reindex status [OPTIONS]', argv);
+  const manager = createManager(options);
+
+  return Promise.props({
+    backlogJobs:    manager.getBacklogJobs(),
+    backlogCount:   manager.getBacklogCount(),
+    inProgressJobs: manager.getInProgressJobs(),
+    completedJobs:  manager.getCompletedJobs(),
+    completedCount: manager.getCompletedCount(),
+    failedJobs:     manager.getFailedJobs(),
+    failedCount:    manager.getFailedCount(),
+    reconciliation: manager.getReconciliation(),
+    nodes:          manager.getNodes(),
+    coordinator:    manager.getCoordinator(),
+    controlState:   manager.getControlState(),
+    rateLimits:     manager.getRateLimits(),
+    runs:           manager.listRuns()
+  }).then((summary)=> {
+    const statuses = _.countBy(summary.reconciliation, (job)=> {
+      return job.reconciliation.status;
+    });
+
+    console.log(`Run:         ${options.runId || '(default)'}`);
+    console.log(`Backlog:     ${summary.backlogJobs.length} jobs, ${summary.backlogCount} docs`);
+    console.log(`In progress: ${summary.inProgressJobs.length} jobs`);
+    console.log(`Completed:   ${summary.completedJobs.length} jobs, ${summary.completedCount} docs`);
+    console.log(`Failed:      ${summary.failedJobs.length} jobs, ${summary.failedCount} docs`);
+    console.log(`Reconciled:  ${statuses.verified || 0} verified, ${statuses.mismatch || 0} mismatch, ` +
+      `${statuses.unverifiable || 0} unverifiable`);
+    console.log(`State:       ${summary.controlState}`);
+    console.log(`Rate limits: ${rateLimiter.describeLimits(summary.rateLimits)}`);
+    console.log(`Coordinator: ${summary.coordinator.owner || 'none'}`);
+
+    _.forEach(summary.nodes, (node)=> {
+      console.log(`Node:        ${node.id} ${node.alive ? 'alive' : 'not responding'}, ${node.workers} workers`);
+    });
+
+    if (summary.runs.length > 0) {
+      console.log('');
+      console.log('Runs:');
+      _.forEach(summary.runs, (runSummary)=> {
+        console.log(`${runSummary.runId}: initialized ${runSummary.initialized}, backlog ${runSummary.backlogJobs} jobs ` +
+          `(${runSummary.backlogCount} docs), completed ${runSummary.completedJobs} jobs (${runSummary.completedCount} docs), ` +
+          `failed ${runSummary.failedJobs} jobs`);
+      });
+    }
+  });
+};
+
+/**
+ * List the jobs of the run, optionally only those in one state, or of some indices or type
+ *
+ * @param argv
+ * @returns {Promise.<TResult>}
+ */
+const jobs = (argv)=> {
+  const options = stdio.getopt(JOBS_OPTIONS, 'multi-reindex jobs [OPTIONS]', argv);
+  const manager = createManager(options);
+  const states  = {
+    backlog:   manager.getBacklogJobs,
+    progress:  manager.getInProgressJobs,
+    completed: manager.getCompletedJobs,
+    failed:    manager.getFailedJobs
+  };
+
+  if (options.state && !_.has(states, options.state)) {
+    throw new Error(`state: '${options.state}' must be one of ${_.keys(states).join(', ')}`);
+  }
+
+  const selected = options.state ? _.pick(states, options.state) : states;
+
+  return Promise.each(_.keys(selected), (state)=> {
+    return selected[state]().then((stateJobs)=> {
+      _.forEach(stateJobs, (job)=> {
+        if (options.index && !utils.matchesPattern(job.index, options.index)) {
+          return;
+        }
+
+        if (options.type && job.type !== options.type) {
+          return;
+        }
+
+        const failure = job.lastError ? ` attempts: ${job.attempts} last error: ${job.lastError}` : '';
+        console.log(`${_.padEnd(state, 10)} ${job}${failure}`);
+      });
+    });
+  });
+};
+
+/**
+ * Clear the completed, backlog and/or failed state of the run
+ *
+ * @param argv
+ * @returns {Promise.<TResult>}
+ */
+const reset = (argv)=> {
+  const options = stdio.getopt(RESET_OPTIONS, 'multi-reindex reset [--completed] [--backlog] [--failed] [OPTIONS]', argv);
+
+  if (!options.completed && !options.backlog && !options.failed) {
+    options.printHelp();
+    throw new Error('at least one of --completed, --backlog or --failed must be provided');
+  }
+
+  const manager = createManager(options);
+
+  return Promise.try(()=> {
+    if (options.completed) {
+      console.log('clearing completed jobs');
+      return manager.clearCompletedJobs().then(manager.clearCheckpoints);
+    }
+  }).then(()=> {
+    if (options.backlog) {
+      console.log('clearing backlog');
+      return manager.clearBacklogJobs();
+    }
+  }).then(()=> {
+    if (options.failed) {
+      console.log('clearing failed jobs');
+      return manager.clearFailedJobs();
+    }
+  });
+};
+
+/**
+ * Sample docs of every index/type to transfer, run them through the data mutators, and compare them with the docs of
+ * the destination. Rejects if any doc is missing or different.
+ *
+ * @param argv
+ * @returns {Promise.<TResult>}
+ */
+const verify = (argv)=> {
+  const options       = stdio.getopt(VERIFY_OPTIONS, 'multi-reindex verify [OPTIONS]', argv);
+  const configuration = createRunConfiguration(options);
+  const size          = options.size ? Number(options.size) : DEFAULT_VERIFY_SIZE;
+
+  if (!configuration.source || !configuration.destination || !utils.isNonZeroString(configuration.data)) {
+    options.printHelp();
+    throw new Error('source, dest and data must be provided');
+  }
+
+  const sourceEs = createEsClient(configuration.source.host, configuration.source.apiVersion);
+  const destEs   = createEsClient(configuration.destination.host, configuration.destination.apiVersion);
+  const transfer = new Transfer(sourceEs, destEs);
+  const manager  = new Manager(sourceEs, null);
+
+  if (utils.isNonZeroString(configuration.mutators)) {
+    transfer.loadMutators(utils.parsePath(configuration.mutators));
+  }
+
+  if (utils.isNonZeroString(configuration.indexFilter)) {
+    // A filter is either a path to a .js filter function, or a regex
+    if (path.extname(configuration.indexFilter) === '.js') {
+      configuration.indexFilter = utils.parsePath(configuration.indexFilter);
+    }
+
+    manager.setIndexFilter(configuration.indexFilter);
+  }
+
+  if (utils.isNonZeroString(configuration.typeFilter)) {
+    if (path.extname(configuration.typeFilter) === '.js') {
+      configuration.typeFilter = utils.parsePath(configuration.typeFilter);
+    }
+
+    manager.setTypeFilter(configuration.typeFilter);
+  }
+
+  if (configuration.query) {
+    manager.setQuery(configuration.query);
+  }
+
+  if (configuration.queries) {
+    manager.setQueries(configuration.queries);
+  }
+
+  return manager.prepareNewJobs(configuration.data).then((targets)=> {
+    return Promise.mapSeries(targets, (target)=> {
+      const job = new Job(_.assign({count: 0}, target));
+      return transfer.verifyData(job.index, job.type, size, job.getQueryBody());
+    });
+  }).then((summaries)=> {
+    _.forEach(summaries, (summary)=> {
+      console.log(`${summary.index}/${summary.type}: sampled ${summary.sampled}, missing ${summary.missing.length}, ` +
+        `different ${summary.different.length}`);
+
+      _.forEach(summary.missing, (document)=> {
+        console.log(`  missing   ${document._index}/${document._type}/${document._id}`);
+      });
+
+      _.forEach(summary.different, (document)=> {
+        console.log(`  different ${document._index}/${document._type}/${document._id}`);
+        _.forEach(document.fields, (field)=> {
+          console.log(`    ${field.field}: source ${JSON.stringify(field.source)} dest ${JSON.stringify(field.dest)}`);
+        });
+      });
+    });
+
+    const failed = _.sumBy(summaries, (summary)=> {
+      return summary.missing.length + summary.different.length;
+    });
+
+    if (failed > 0) {
+      throw new Error(`${failed} sampled docs are missing or different in the destination`);
+    }
+  });
+};
+
+/**
+ * Set the rate limits of a run, which its nodes pick up within their next heartbeat. Any left out is unlimited.
+ *
+ * @param argv
+ * @returns {Promise.<TResult>}
+ */
+const limit = (argv)=> {
+  const options = stdio.getopt(LIMIT_OPTIONS, 'multi-reindex limit [--docs N] [--bytes N] [OPTIONS]', argv);
+  const limits  = _.omitBy({
+    docsPerSecond:  options.docs ? Number(options.docs) : null,
+    bytesPerSecond: options.bytes ? Number(options.bytes) : null
+  }, _.isNull);
+
+  return createManager(options).setRateLimits(limits).then(()=> {
+    console.log(`Rate limits: ${rateLimiter.describeLimits(limits)}`);
+  });
+};
+
+/**
+ * Create a command that sets the control state of the run through the manager action of the same name
+ *
+ * @param action
+ * @returns {Function}
+ */
+const createControlCommand = (action)=> {
+  return (argv)=> {
+    const options = stdio.getopt(STORE_OPTIONS, `multi-reindex ${action} [OPTIONS]`, argv);
+    return createManager(options)[action]();
+  };
+};
+
+const COMMANDS = {
+  run:    run,
+  status: status,
+  jobs:   jobs,
+  reset:  reset,
+  verify: verify,
+  limit:  limit,
+  pause:  createControlCommand('pause'),
+  resume: createControlCommand('resume'),
+  cancel: createControlCommand('cancel')
+};
+
+/**
+ * Run the command named by the first argument, with the rest of the arguments as its options
+ *
+ * Every command but run exits once done, as the store connection would otherwise keep the process alive.
+ *
+ * @param argv
+ */
+const main = (argv)=> {
+  const command = argv[2];
+
+  if (!_.has(COMMANDS, command)) {
+    console.log('USAGE: multi-reindex <command> [OPTIONS]');
+    console.log('Commands:');
+    console.log('  run     Start or resume a run');
+    console.log('  status  Print the backlog, completed and failed totals of a run');
+    console.log('  jobs    List the jobs of a run');
+    console.log('  reset   Clear the completed, backlog or failed state of a run');
+    console.log('  verify  Compare a sample of mutated source docs with the destination');
+    console.log('  limit   Set the docs and bytes per second a run may scroll');
+    console.log('  pause   Pause the workers of a run after their current flush');
+    console.log('  resume  Resume the workers of a paused run');
+    console.log('  cancel  Requeue the jobs in progress of a run and stop its workers');
+    console.log('Use multi-reindex <command> --help for its options');
+    process.exit(command ? 1 : 0);
+  }
+
+  const commandArgv = _.concat(_.take(argv, 2), _.drop(argv, 3));
+
+  if (command === 'run') {
+    return run(commandArgv);
+  }
+
+  return Promise.try(()=> {
+    return COMMANDS[command](commandArgv);
+  }).then(()=> {
+    process.exit(0);
+  }).catch((error)=> {
+    console.error(error.message);
+    process.exit(1);
+  });
+};
+
+module.exports = {
+  main:            main,
+  parseRunOptions: parseRunOptions,
+  parseRedis:      parseRedis
+};
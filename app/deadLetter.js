@@ -0,0 +1,94 @@
+const _       = require('lodash');
+const fs      = require('fs');
+const Promise = require('bluebird');
+const utils   = require('../config/utils');
+
+// Where dead-lettered docs can be written: an NDJSON file, or a list in the store of the run
+const DEAD_LETTER_TYPES = [
+  'file',
+  'store'
+];
+
+// Docs of a job that can be dead-lettered before the job fails, unless configured otherwise
+const DEFAULT_TOLERANCE = 100;
+
+/**
+ * Get the dead letter settings, eg {type: 'file', path: './dead-letter.ndjson', tolerance: 10}
+ *
+ * @param configured
+ * @returns {{}}
+ */
+const getSettings = (configured)=> {
+  if (!_.isPlainObject(configured)) {
+    throw new Error('deadLetter must be an object');
+  }
+
+  if (!_.includes(DEAD_LETTER_TYPES, configured.type)) {
+    throw new Error(`deadLetter: type '${configured.type}' must be one of: [${_.join(DEAD_LETTER_TYPES, ',')}]`);
+  }
+
+  if (configured.type === 'file' && !utils.isNonZeroString(configured.path)) {
+    throw new Error('deadLetter: path must be string with length, for type file');
+  }
+
+  if (_.has(configured, 'tolerance') && (!_.isInteger(configured.tolerance) || configured.tolerance < 0)) {
+    throw new Error('deadLetter: tolerance must be an integer gte 0');
+  }
+
+  return {
+    type:      configured.type,
+    path:      configured.type === 'file' ? utils.parsePath(configured.path) : null,
+    tolerance: _.has(configured, 'tolerance') ? configured.tolerance : DEFAULT_TOLERANCE
+  };
+};
+
+/**
+ * Writes docs the destination failed for good, each as {job, action, source, error}
+ *
+ * A file is appended to one line per doc, in a single write per bulk, so the workers of a host can share it. Workers on
+ * different hosts should each have their own file, or use the store.
+ *
+ * Each doc is written once per job. The store of the run records those written, so attempting a job again after it
+ * failed, or resuming it, does not write the docs it failed before again.
+ *
+ * @param settings
+ * @param manager
+ * @constructor
+ */
+const DeadLetter = function (settings, manager) {
+  const self = this;
+
+  self.tolerance = settings.tolerance;
+
+  // Resolves the number of entries written, leaving out those already written
+  self.write = (entries)=> {
+    return manager.filterDeadLettered(entries).then((unwritten)=> {
+      return writeEntries(unwritten).then(()=> {
+        return manager.markDeadLettered(unwritten);
+      }).then(()=> {
+        return unwritten.length;
+      });
+    });
+  };
+
+  const writeEntries = (entries)=> {
+    if (settings.type === 'store') {
+      return manager.pushDeadLetters(entries);
+    }
+
+    return Promise.try(()=> {
+      fs.appendFileSync(settings.path, _.join(_.map(entries, (entry)=> {
+        return `${JSON.stringify(entry)}\n`;
+      }), ''));
+    });
+  };
+
+  self.describe = ()=> {
+    return (settings.type === 'store') ? 'the store' : settings.path;
+  };
+};
+
+module.exports = {
+  getSettings: getSettings,
+  DeadLetter:  DeadLetter
+};
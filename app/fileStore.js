@@ -0,0 +1,477 @@
+const _       = require('lodash');
+const fs      = require('fs');
+const cluster = require('cluster');
+const Promise = require('bluebird');
+const config  = require('../config');
+const log     = config.log;
+
+/**
+ * Implementation of each supported command against the in-memory state, returning what redis would return
+ */
+const COMMANDS = {
+  rpush: (state, key, values)=> {
+    state[key] = _.concat(getList(state, key), _.map(values, String));
+    return state[key].length;
+  },
+
+  lpush: (state, key, values)=> {
+    state[key] = _.concat(_.reverse(_.map(values, String)), getList(state, key));
+    return state[key].length;
+  },
+
+  rpoplpush: (state, key, args)=> {
+    if (getList(state, key).length === 0) {
+      return null;
+    }
+
+    const destination = getList(state, args[0]);
+    const value       = state[key].pop();
+    removeIfEmpty(state, key);
+
+    state[args[0]] = _.concat(value, destination);
+    return value;
+  },
+
+  lrem: (state, key, args)=> {
+    // Only removing every occurrence (count of 0) is supported
+    const list    = getList(state, key);
+    const removed = _.filter(list, (value)=> {
+      return value === String(args[1]);
+    }).length;
+
+    state[key] = _.without(list, String(args[1]));
+    removeIfEmpty(state, key);
+    return removed;
+  },
+
+  lrange: (state, key, args)=> {
+    const list = getList(state, key);
+    const stop = (args[1] < 0) ? list.length + args[1] : args[1];
+
+    return _.slice(list, args[0], stop + 1);
+  },
+
+  llen: (state, key)=> {
+    return getList(state, key).length;
+  },
+
+  lpop: (state, key)=> {
+    if (getList(state, key).length === 0) {
+      return null;
+    }
+
+    const value = state[key].shift();
+    removeIfEmpty(state, key);
+    return value;
+  },
+
+  hset: (state, key, args)=> {
+    state[key] = getHash(state, key);
+
+    const isNew         = !_.has(state[key], args[0]);
+    state[key][args[0]] = String(args[1]);
+    return isNew ? 1 : 0;
+  },
+
+  hsetnx: (state, key, args)=> {
+    if (_.has(getHash(state, key), args[0])) {
+      return 0;
+    }
+
+    return COMMANDS.hset(state, key, args);
+  },
+
+  hget: (state, key, args)=> {
+    const hash = getHash(state, key);
+    return _.has(hash, args[0]) ? hash[args[0]] : null;
+  },
+
+  hdel: (state, key, fields)=> {
+    const removed = _.filter(fields, (field)=> {
+      return _.has(getHash(state, key), field);
+    });
+
+    _.forEach(removed, (field)=> {
+      delete state[key][field];
+    });
+
+    removeIfEmpty(state, key);
+    return removed.length;
+  },
+
+  hgetall: (state, key)=> {
+    return _.clone(getHash(state, key));
+  },
+
+  hvals: (state, key)=> {
+    return _.values(getHash(state, key));
+  },
+
+  del: (state, key, otherKeys)=> {
+    const removed = _.filter(_.concat(key, otherKeys), (target)=> {
+      return _.has(state, target);
+    });
+
+    _.forEach(removed, (target)=> {
+      delete state[target];
+    });
+
+    return removed.length;
+  },
+
+  flushdb: (state)=> {
+    _.forEach(_.keys(state), (target)=> {
+      delete state[target];
+    });
+
+    return 'OK';
+  }
+};
+
+// Commands that change the state, and so are written to the log
+const WRITE_COMMANDS = [
+  'rpush',
+  'lpush',
+  'rpoplpush',
+  'lrem',
+  'lpop',
+  'hset',
+  'hsetnx',
+  'hdel',
+  'del',
+  'flushdb'
+];
+
+// Everything else only reads
+const READ_COMMANDS = _.difference(_.keys(COMMANDS), WRITE_COMMANDS);
+
+/**
+ * File backed state store
+ *
+ * Implements the subset of redis commands used by the manager, so it can be used in place of a redis client.
+ *
+ * The master process owns the state, keeps it in memory, and appends every change to the file at filePath.
+ * On startup the file is only replayed, so opening the store writes nothing. The master running on it compacts it to
+ * a single snapshot (see compact).
+ *
+ * Other processes on the same host, such as the commands of the cli, can open the same file to read the state, or to
+ * change it, eg to pause the run. Every store applies the changes others appended to the file before running each
+ * command, and again right before each change it appends, so the master running on it picks them up the next time it,
+ * or one of its workers, uses the store, and the state in memory matches a replay of the log. A store whose log was
+ * replaced since it last read it, eg compacted by the master, reloads it from the start.
+ *
+ * Forked workers never touch the file. Their commands are sent to the master over IPC and executed there one at a time,
+ * so the state is safe to share between all workers of the cluster. It is NOT safe to share between hosts.
+ *
+ * @param filePath
+ * @constructor
+ */
+const FileStore = function (filePath) {
+  const self = this;
+
+  if (cluster.isMaster) {
+    if (!_.isString(filePath) || filePath.length === 0) {
+      throw new Error('file store path must be string with length');
+    }
+
+    // Tells the changes of this store apart from those of other processes in the log
+    const origin = `${process.pid}:${_.uniqueId()}`;
+
+    const loaded = load(filePath);
+    const state  = loaded.state;
+    let offset   = loaded.offset;
+    let inode    = loaded.inode;
+
+    // Apply the changes other processes appended to the log since this store last read it
+    const follow = ()=> {
+      const read = readLog(filePath, offset, inode);
+      offset     = read.offset;
+      inode      = read.inode;
+
+      if (read.replaced) {
+        replay(state, read.entries);
+        return;
+      }
+
+      _.forEach(read.entries, (entry)=> {
+        if (entry.command && entry.origin !== origin) {
+          execute(state, entry.command, entry.args);
+        }
+      });
+    };
+
+    // Run a command against the state, and log it if it changed the state
+    const call = function (command) {
+      const args    = _.drop(_.toArray(arguments));
+      const isWrite = _.includes(WRITE_COMMANDS, command);
+
+      // Changes run on the state in the order they are in the log
+      if (isWrite) {
+        follow();
+      }
+
+      const result = execute(state, command, args);
+
+      if (isWrite) {
+        const line = `${JSON.stringify({command: command, args: args, origin: origin})}\n`;
+        fs.appendFileSync(filePath, line);
+
+        // Nothing to read back, unless another process appended to the log in between
+        const stats = fs.statSync(filePath);
+
+        if (stats.size === offset + Buffer.byteLength(line)) {
+          offset += Buffer.byteLength(line);
+          inode   = stats.ino;
+        }
+      }
+
+      return result;
+    };
+
+    _.forEach(_.concat(WRITE_COMMANDS, READ_COMMANDS), (command)=> {
+      self[command] = function () {
+        const args = _.toArray(arguments);
+
+        return Promise.try(()=> {
+          follow();
+          return call.apply(null, _.concat(command, args));
+        });
+      };
+    });
+
+    /**
+     * Define a command running several others at once, as a lua script does in redis (see defineCommand of ioredis)
+     *
+     * Lua cannot run here, so the definition also has a js function of (call, keys, args). call runs one command against
+     * the state and returns its result, as redis.call does in lua. Commands run one at a time, so nothing else runs
+     * in between.
+     *
+     * @param name
+     * @param definition
+     */
+    self.defineCommand = (name, definition)=> {
+      self[name] = function () {
+        const args = _.toArray(arguments);
+
+        return Promise.try(()=> {
+          follow();
+          return definition.js(call, _.take(args, definition.numberOfKeys), _.drop(args, definition.numberOfKeys));
+        });
+      };
+    };
+
+    /**
+     * Replace the log with a snapshot of the state. Only for the master running on the store, as changes appended by
+     * anything else in the meantime are lost.
+     */
+    self.compact = ()=> {
+      follow();
+
+      const snapshot = `${JSON.stringify({snapshot: state})}\n`;
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, snapshot);
+      fs.renameSync(tempPath, filePath);
+
+      offset = Buffer.byteLength(snapshot);
+      inode  = fs.statSync(filePath).ino;
+    };
+
+    cluster.on('message', (worker, message)=> {
+      if (message && message.fileStore && _.has(self, message.command)) {
+        self[message.command].apply(self, message.args).then((result)=> {
+          worker.send({
+            fileStore: true,
+            id:        message.id,
+            result:    result
+          });
+        }).catch((error)=> {
+          worker.send({
+            fileStore: true,
+            id:        message.id,
+            error:     error.message
+          });
+        });
+      }
+    });
+  } else {
+    const pending = {};
+    let nextId    = 0;
+
+    process.on('message', (message)=> {
+      if (message && message.fileStore && pending[message.id]) {
+        const request = pending[message.id];
+        delete pending[message.id];
+
+        if (message.error) {
+          request.reject(new Error(message.error));
+        } else {
+          request.resolve(message.result);
+        }
+      }
+    });
+
+    const createCommand = (command)=> {
+      return function () {
+        const args = _.toArray(arguments);
+
+        return new Promise((resolve, reject)=> {
+          const id    = nextId++;
+          pending[id] = {
+            resolve: resolve,
+            reject:  reject
+          };
+
+          process.send({
+            fileStore: true,
+            id:        id,
+            command:   command,
+            args:      args
+          });
+        });
+      };
+    };
+
+    _.forEach(_.concat(WRITE_COMMANDS, READ_COMMANDS), (command)=> {
+      self[command] = createCommand(command);
+    });
+
+    // Commands defined here are run by the master, which must define them as well
+    self.defineCommand = (name)=> {
+      self[name] = createCommand(name);
+    };
+  }
+};
+
+/**
+ * Replay the log at filePath, if there is one. Resolves the state, and the offset and inode of the log it was read up to.
+ *
+ * @param filePath
+ * @returns {{state: {}, offset: Number, inode: Number}}
+ */
+const load = (filePath)=> {
+  const read  = readLog(filePath, 0, null);
+  const state = {};
+
+  replay(state, read.entries);
+
+  if (read.offset > 0) {
+    log.info(`loaded state from: ${filePath}`);
+  }
+
+  return {
+    state:  state,
+    offset: read.offset,
+    inode:  read.inode
+  };
+};
+
+/**
+ * Replace the state, in place, with that of the entries of a whole log
+ *
+ * @param state
+ * @param entries
+ */
+const replay = (state, entries)=> {
+  COMMANDS.flushdb(state);
+
+  _.forEach(entries, (entry)=> {
+    if (entry.snapshot) {
+      COMMANDS.flushdb(state);
+      _.assign(state, entry.snapshot);
+    } else {
+      execute(state, entry.command, entry.args);
+    }
+  });
+};
+
+/**
+ * Read the entries of the log at filePath from offset on. A line still being written by another process is left for
+ * the next read, so the offset returned is the end of the last complete line.
+ *
+ * If the file is no longer the one of inode, or is shorter than offset, the log was replaced, eg compacted, since it was
+ * last read. It is then read from the start, and replaced is set.
+ *
+ * @param filePath
+ * @param offset
+ * @param inode
+ * @returns {{entries: Array, offset: Number, inode: Number, replaced: Boolean}}
+ */
+const readLog = (filePath, offset, inode)=> {
+  if (!fs.existsSync(filePath)) {
+    return {
+      entries:  [],
+      offset:   offset,
+      inode:    inode,
+      replaced: false
+    };
+  }
+
+  // Sized through the open file, so a log replaced in the meantime is not read up to the size of the other
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    const stats    = fs.fstatSync(fd);
+    const replaced = (!_.isNull(inode) && stats.ino !== inode) || stats.size < offset;
+    const start    = replaced ? 0 : offset;
+    const buffer   = Buffer.alloc(stats.size - start);
+
+    fs.readSync(fd, buffer, 0, buffer.length, start);
+
+    const end = buffer.lastIndexOf('\n') + 1;
+
+    return {
+      entries:  _.map(_.compact(buffer.toString('utf8', 0, end).split('\n')), (line)=> {
+        return JSON.parse(line);
+      }),
+      offset:   start + end,
+      inode:    stats.ino,
+      replaced: replaced
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Run a command against the in-memory state
+ *
+ * @param state
+ * @param command
+ * @param args
+ * @returns {*}
+ */
+const execute = (state, command, args)=> {
+  if (!_.has(COMMANDS, command)) {
+    throw new Error(`unsupported command: ${command}`);
+  }
+
+  return COMMANDS[command](state, args[0], _.slice(args, 1));
+};
+
+const getList = (state, key)=> {
+  if (!_.has(state, key)) {
+    return [];
+  } else if (!_.isArray(state[key])) {
+    throw new Error(`WRONGTYPE key: ${key} does not hold a list`);
+  }
+
+  return state[key];
+};
+
+const getHash = (state, key)=> {
+  if (!_.has(state, key)) {
+    return {};
+  } else if (!_.isPlainObject(state[key])) {
+    throw new Error(`WRONGTYPE key: ${key} does not hold a hash`);
+  }
+
+  return state[key];
+};
+
+const removeIfEmpty = (state, key)=> {
+  if (_.isEmpty(state[key])) {
+    delete state[key];
+  }
+};
+
+module.exports = FileStore;
@@ -0,0 +1,135 @@
+const _ = require('lodash');
+
+// Settings that describe the source index itself. No version accepts them when creating an index.
+const PRIVATE_SETTINGS = [
+  'uuid',
+  'creation_date',
+  'version.created',
+  'version.upgraded',
+  'version.minimum_compatible',
+  'provided_name'
+];
+
+// Settings removed in a major version. They are dropped when copying from an older major version to that one or later.
+const REMOVED_SETTINGS = [
+  {
+    major:    2,
+    settings: [
+      'legacy.routing.hash.type',
+      'legacy.routing.use_type'
+    ]
+  },
+  {
+    major:    5,
+    settings: [
+      'cache.query.enable'
+    ]
+  },
+  {
+    major:    7,
+    settings: [
+      'mapper.dynamic',
+      'mapping.single_type'
+    ]
+  }
+];
+
+/**
+ * Get the major version of an elasticsearch client apiVersion, eg 2 for '2.2' or 5 for '5.x'
+ *
+ * The client's 'master' is newer than any released version. Anything else unknown is null.
+ *
+ * @param apiVersion
+ * @returns {*}
+ */
+const getMajorVersion = (apiVersion)=> {
+  if (apiVersion === 'master') {
+    return Infinity;
+  }
+
+  const major = parseInt(apiVersion);
+  return _.isNaN(major) ? null : major;
+};
+
+/**
+ * Names of the index settings that can't be copied from the source version to the destination version
+ *
+ * Without both versions, only the private settings are known not to be portable.
+ *
+ * @param sourceVersion
+ * @param destVersion
+ * @returns {Array}
+ */
+const getNonPortableSettings = (sourceVersion, destVersion)=> {
+  const sourceMajor = getMajorVersion(sourceVersion);
+  const destMajor   = getMajorVersion(destVersion);
+
+  if (_.isNull(sourceMajor) || _.isNull(destMajor)) {
+    return PRIVATE_SETTINGS;
+  }
+
+  return _.reduce(REMOVED_SETTINGS, (result, removed)=> {
+    if (sourceMajor < removed.major && destMajor >= removed.major) {
+      return _.concat(result, removed.settings);
+    }
+
+    return result;
+  }, PRIVATE_SETTINGS);
+};
+
+/**
+ * Remove the settings of an index (as returned by indices.get) that the destination would reject, and return the full
+ * name of each one removed, eg ['index.uuid', 'index.version.created']
+ *
+ * Settings may be nested, or flat with dotted names. Objects left empty are removed too.
+ *
+ * @param index
+ * @param sourceVersion
+ * @param destVersion
+ * @returns {Array}
+ */
+const sanitizeIndex = (index, sourceVersion, destVersion)=> {
+  const settings = _.get(index, ['settings', 'index']);
+
+  if (!_.isPlainObject(settings)) {
+    return [];
+  }
+
+  return _.filter(_.map(getNonPortableSettings(sourceVersion, destVersion), (name)=> {
+    const nestedPath = name.split('.');
+
+    if (_.has(settings, [name])) {
+      delete settings[name];
+    } else if (_.has(settings, nestedPath)) {
+      _.unset(settings, nestedPath);
+      removeEmptyParents(settings, _.initial(nestedPath));
+    } else {
+      return null;
+    }
+
+    return `index.${name}`;
+  }));
+};
+
+/**
+ * Remove each object along the path that was left empty, from the deepest up
+ *
+ * @param settings
+ * @param parentPath
+ */
+const removeEmptyParents = (settings, parentPath)=> {
+  for (let depth = parentPath.length; depth > 0; depth--) {
+    const path = _.take(parentPath, depth);
+
+    if (!_.isEmpty(_.get(settings, path))) {
+      return;
+    }
+
+    _.unset(settings, path);
+  }
+};
+
+module.exports = {
+  getNonPortableSettings: getNonPortableSettings,
+  sanitizeIndex:          sanitizeIndex
+};
@@ -5,7 +5,10 @@ const utils = require('../config/utils');
 /**
  * Job constructor
  *
- * Requires index, type, and count.
+ * Requires index, type, and count. Optionally takes a range ({field, gte, lt, lte} or {field, missing: true})
+ * restricting the job to a partition of the index/type, and/or a shard number restricting it to a single primary shard,
+ * or a slice ({id, max}) for sliced scroll. A since ({field, gte}) restricts it to docs modified since a previous run,
+ * and a query (any query DSL) to the docs matching it.
  *
  * @param params
  * @constructor
@@ -27,24 +30,240 @@ const Job = function (params) {
     throw new Error('count must be number gte 0');
   }
 
+  if (!_.isUndefined(params.range) && (!_.isObject(params.range) || !utils.isNonZeroString(params.range.field))) {
+    throw new Error('if provided, range must be an object with a field');
+  }
+
+  if (!_.isUndefined(params.shard) && (!_.isInteger(params.shard) || params.shard < 0)) {
+    throw new Error('if provided, shard must be an integer gte 0');
+  }
+
+  if (!_.isUndefined(params.slice) && (!_.isObject(params.slice) || !_.isInteger(params.slice.id) || !_.isInteger(params.slice.max) ||
+    params.slice.id < 0 || params.slice.id >= params.slice.max)) {
+    throw new Error('if provided, slice must be an object with integer id gte 0 and lt max');
+  }
+
+  if (!_.isUndefined(params.since) && (!_.isObject(params.since) || !utils.isNonZeroString(params.since.field) || _.isUndefined(params.since.gte))) {
+    throw new Error('if provided, since must be an object with a field and gte');
+  }
+
+  if (!_.isUndefined(params.query) && !_.isPlainObject(params.query)) {
+    throw new Error('if provided, query must be an object');
+  }
+
   self.index = params.index;
   self.type  = params.type;
   self.count = params.count;
 
+  if (params.range) {
+    self.range = params.range;
+  }
+
+  if (!_.isUndefined(params.shard)) {
+    self.shard = params.shard;
+  }
+
+  if (params.slice) {
+    self.slice = params.slice;
+  }
+
+  if (params.since) {
+    self.since = params.since;
+  }
+
+  if (params.query) {
+    self.query = params.query;
+  }
+
   self.getID = ()=> {
-    return JSON.stringify({
-      index: self.index,
-      type:  self.type
-    });
+    return Job.createID(self);
+  };
+
+  self.getQueryBody = ()=> {
+    return createQueryBody(self);
+  };
+
+  self.getSearchBody = (resumeFrom)=> {
+    return createSearchBody(self, resumeFrom);
+  };
+
+  self.getSearchParams = ()=> {
+    return createSearchParams(self);
   };
 
   self.toString = ()=> {
-    return JSON.stringify({
-      index: self.index,
-      type:  self.type,
+    return JSON.stringify(_.assign(JSON.parse(self.getID()), {
       count: self.count
+    }));
+  }
+};
+
+/**
+ * Build the search body restricting a job to its query, its partition and to docs modified since the last run, if it
+ * has those
+ *
+ * If resumeFrom ({field, value}) is provided, the job is also restricted to docs at or after that value of the field,
+ * or without the field at all, as those are sorted last.
+ *
+ * @param job
+ * @param resumeFrom
+ * @returns {*}
+ */
+const createQueryBody = (job, resumeFrom)=> {
+  const clauses = [];
+
+  if (job.query) {
+    clauses.push(job.query);
+  }
+
+  if (job.range && job.range.missing) {
+    clauses.push(createMissingQuery(job.range.field));
+  } else if (job.range) {
+    clauses.push(createRangeQuery(job.range.field, _.omit(job.range, 'field')));
+  }
+
+  if (job.since) {
+    clauses.push(createRangeQuery(job.since.field, {gte: job.since.gte}));
+  }
+
+  if (resumeFrom) {
+    clauses.push({
+      bool: {
+        should: [
+          createRangeQuery(resumeFrom.field, {gte: resumeFrom.value}),
+          createMissingQuery(resumeFrom.field)
+        ]
+      }
     });
   }
+
+  if (clauses.length === 0) {
+    return undefined;
+  } else if (clauses.length === 1) {
+    return {query: clauses[0]};
+  }
+
+  return {
+    query: {
+      bool: {
+        must: clauses
+      }
+    }
+  };
+};
+
+/**
+ * Query matching docs where field is within the bounds ({gte, gt, lte, lt})
+ *
+ * @param field
+ * @param bounds
+ * @returns {{range: {}}}
+ */
+const createRangeQuery = (field, bounds)=> {
+  const range  = {};
+  range[field] = bounds;
+
+  return {
+    range: range
+  };
+};
+
+/**
+ * Query matching docs that do not have the field. Written so it is valid from 1.x onwards.
+ *
+ * @param field
+ * @returns {{constant_score: {filter: {bool: {must_not: {exists: {field: *}}}}}}}
+ */
+const createMissingQuery = (field)=> {
+  return {
+    constant_score: {
+      filter: {
+        bool: {
+          must_not: {
+            exists: {
+              field: field
+            }
+          }
+        }
+      }
+    }
+  };
+};
+
+/**
+ * Build the scroll body for a job. Same as the query body, with the slice added if the job has one.
+ *
+ * The slice cannot be part of the query body, as it is not accepted by count.
+ *
+ * @param job
+ * @param resumeFrom
+ * @returns {*}
+ */
+const createSearchBody = (job, resumeFrom)=> {
+  if (!job.slice) {
+    return createQueryBody(job, resumeFrom);
+  }
+
+  return _.assign({}, createQueryBody(job, resumeFrom), {
+    slice: {
+      id:  job.slice.id,
+      max: job.slice.max
+    }
+  });
+};
+
+/**
+ * Build the extra search/count parameters needed to read only this job's shard
+ *
+ * @param job
+ * @returns {{}}
+ */
+const createSearchParams = (job)=> {
+  const params = {};
+
+  if (!_.isUndefined(job.shard)) {
+    params.preference = `_shards:${job.shard}`;
+  }
+
+  return params;
+};
+
+/**
+ * Static helper for building the unique ID of a job, or a plain object describing one
+ *
+ * Only the properties that identify the job are included, so jobs without a range, shard, slice, since or query keep the same ID
+ * they had before partitioning existed.
+ *
+ * @param params
+ * @returns {string}
+ */
+Job.createID = (params)=> {
+  const id = {
+    index: params.index,
+    type:  params.type
+  };
+
+  if (params.range) {
+    id.range = params.range;
+  }
+
+  if (!_.isUndefined(params.shard)) {
+    id.shard = params.shard;
+  }
+
+  if (params.slice) {
+    id.slice = params.slice;
+  }
+
+  if (params.since) {
+    id.since = params.since;
+  }
+
+  if (params.query) {
+    id.query = params.query;
+  }
+
+  return JSON.stringify(id);
 };
 
 /**
@@ -66,4 +285,4 @@ Job.createFromID = (id, count)=> {
   return new Job(params);
 };
 
-module.exports = Job;
\ No newline at end of file
+module.exports = Job;
@@ -1,41 +1,186 @@
 const _       = require('lodash');
+const os      = require('os');
 const path    = require('path');
+const moment  = require('moment');
 const Promise = require('bluebird');
 
-const Job    = require('./job');
-const config = require('../config');
-const log    = config.log;
+const Job         = require('./job');
+const rateLimiter = require('./rateLimiter');
+const utils       = require('../config/utils');
+const config      = require('../config');
+const log         = config.log;
 
 
 const BACKLOG_QUEUE_KEY = 'backlog_queue';
 const BACKLOG_HSET_KEY  = 'backlog_hset';
 const COMPLETED_KEY     = 'completed';
 
+// Jobs claimed by a worker are moved to the in progress list, and hold a lease the worker keeps renewing
+const IN_PROGRESS_QUEUE_KEY = 'in_progress_queue';
+const IN_PROGRESS_HSET_KEY  = 'in_progress_hset';
+const LEASES_KEY            = 'leases';
+
+// Attempts and last error of jobs that failed, and the jobs that failed more than maxAttempts times
+const ATTEMPTS_KEY = 'attempts';
+const FAILED_KEY   = 'failed';
+
+// Position within each job transferred so far, so a restarted job can continue from there
+const CHECKPOINTS_KEY = 'checkpoints';
+
+// Source and destination counts of each completed job, and whether they matched
+const RECONCILIATION_KEY = 'reconciliation';
+
+// Docs the destination failed for good, with their job, when dead-lettered to the store
+const DEAD_LETTER_KEY = 'dead_letter';
+
+// Job and id of every doc dead-lettered, wherever to, so an attempt of the job after another does not add it again
+const DEAD_LETTERED_KEY = 'dead_lettered';
+
+// Highest value of the since field of each index/type transferred by the last complete run, and by the current run
+const HIGH_WATER_MARKS_KEY         = 'high_water_marks';
+const PENDING_HIGH_WATER_MARKS_KEY = 'pending_high_water_marks';
+
+// Commands to a run in sync mode: a cutover request, and whether the coordinator stopped syncing
+const SYNC_KEY = 'sync';
+
+// Every node (master process, on any host) taking part in the run, with its heartbeat and the progress of its workers
+const NODES_KEY = 'nodes';
+
+// Terms of the coordinator, each claimed once by the node coordinating the run during it
+const COORDINATOR_KEY = 'coordinator';
+
+// When the backlog of the run was last planned by its coordinator, so joining nodes know they can start
+const PLANNED_KEY = 'planned';
+
+// Whether the workers of the run should be running, paused, or stop after requeueing their jobs
+const CONTROL_KEY    = 'control';
+const CONTROL_STATES = [
+  'running',
+  'paused',
+  'cancelled'
+];
+
+const NODE_TIMEOUT = 45 * 1000;
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const MAX_ERROR_LENGTH     = 1000;
+
+const LEASE_TIMEOUT  = 60 * 1000;
+const LEASE_RENEWALS = 4;
+const LEASE_OWNER    = `${os.hostname()}:${process.pid}`;
+
+// A node is its master process, so in the master this is the same as the owner of the leases
+const NODE_ID = LEASE_OWNER;
+
+// Replaces the lease on a job only if it is still held by the owner, in one step, so a job requeued in between is not
+// given a lease again. Takes the leases key, then the job ID, the owner and the new lease. Resolves 1 if renewed.
+const RENEW_LEASE_COMMAND = {
+  numberOfKeys: 1,
+  lua:          `
+    local lease = redis.call('hget', KEYS[1], ARGV[1])
+    if not lease or cjson.decode(lease).owner ~= ARGV[2] then
+      return 0
+    end
+    redis.call('hset', KEYS[1], ARGV[1], ARGV[3])
+    return 1`,
+  js:           (call, keys, args)=> {
+    const lease = call('hget', keys[0], args[0]);
+
+    if (_.isNull(lease) || JSON.parse(lease).owner !== args[1]) {
+      return 0;
+    }
+
+    call('hset', keys[0], args[0], args[2]);
+    return 1;
+  }
+};
+
+// Every key holding the state of a run, deleted along with the run
+const RUN_KEYS = [
+  BACKLOG_QUEUE_KEY,
+  BACKLOG_HSET_KEY,
+  COMPLETED_KEY,
+  IN_PROGRESS_QUEUE_KEY,
+  IN_PROGRESS_HSET_KEY,
+  LEASES_KEY,
+  ATTEMPTS_KEY,
+  FAILED_KEY,
+  CHECKPOINTS_KEY,
+  RECONCILIATION_KEY,
+  DEAD_LETTER_KEY,
+  DEAD_LETTERED_KEY,
+  HIGH_WATER_MARKS_KEY,
+  PENDING_HIGH_WATER_MARKS_KEY,
+  SYNC_KEY,
+  NODES_KEY,
+  COORDINATOR_KEY,
+  PLANNED_KEY,
+  CONTROL_KEY
+];
+
+// Hash of every namespaced run and when it was last initialized. Never namespaced itself.
+const RUNS_KEY = 'runs';
+
+const RUN_ID_REGEX = /^[a-zA-Z0-9_\-]+$/;
+
+const MAX_PARTITIONS_PER_JOB = 10000;
+const INTERVAL_REGEX         = /^([0-9]+)(ms|s|m|h|d|w|M|y)$/;
+
 let indexFilter     = null;
 let indexComparator = null;
 let typeFilter      = null;
+let partition       = null;
+let splitByShard    = false;
+let slices          = null;
+let since           = null;
+let globalQuery     = null;
+let queries         = null;
+let maxAttempts     = DEFAULT_MAX_ATTEMPTS;
 
 let source = null;
-let redis  = null;
+let store  = null;
+let runId  = null;
 
 /**
  * Manager constructor
  *
  * The manager prepares and 'manages' the jobs
+ *
+ * Job state is kept in the state store, which is either a redis client or anything implementing the same commands
+ * (see FileStore). If a runId is provided, every key is prefixed with it so several runs can share one store.
+ *
  * @param sourceEs
- * @param redisClient
+ * @param stateStore
+ * @param id
  * @constructor
  */
-const Manager = function (sourceEs, redisClient) {
+const Manager = function (sourceEs, stateStore, id) {
   const self = this;
 
   self.source = sourceEs;
   source      = sourceEs;
-  redis       = redisClient;
+  store       = stateStore;
+
+  if (store) {
+    store.defineCommand('renewLease', RENEW_LEASE_COMMAND);
+  }
+
+  setRunId(id);
+
+  self.setRunId  = setRunId;
+  self.listRuns  = listRuns;
+  self.deleteRun = deleteRun;
 
   self.setIndexFilter     = setIndexFilter;
   self.setIndexComparator = setIndexComparator;
   self.setTypeFilter      = setTypeFilter;
+  self.setPartition       = setPartition;
+  self.setSplitByShard    = setSplitByShard;
+  self.setSlices          = setSlices;
+  self.setSince           = setSince;
+  self.setQuery           = setQuery;
+  self.setQueries         = setQueries;
+  self.setMaxAttempts     = setMaxAttempts;
   self.getFilterFunction  = getFilterFunction;
 
   self.getIndices            = getIndices;
@@ -43,79 +188,1117 @@ const Manager = function (sourceEs, redisClient) {
 
   self.fetchJob    = fetchJob;
   self.queueJob    = queueJob;
+  self.requeueJob  = requeueJob;
   self.completeJob = completeJob;
+  self.failJob     = failJob;
+
+  self.saveCheckpoint   = saveCheckpoint;
+  self.getCheckpoint    = getCheckpoint;
+  self.clearCheckpoints = clearCheckpoints;
+
+  self.getHighWaterMarks    = getHighWaterMarks;
+  self.commitHighWaterMarks = commitHighWaterMarks;
+  self.getLag               = getLag;
+
+  self.requestCutover     = requestCutover;
+  self.isCutoverRequested = isCutoverRequested;
+  self.stopSync           = stopSync;
+  self.isSyncStopped      = isSyncStopped;
+  self.resetSync          = resetSync;
+
+  self.pause           = pause;
+  self.resume          = resume;
+  self.cancel          = cancel;
+  self.getControlState = getControlState;
+  self.setRateLimits   = setRateLimits;
+  self.getRateLimits   = getRateLimits;
+
+  self.nodeId           = NODE_ID;
+  self.registerNode     = registerNode;
+  self.deregisterNode   = deregisterNode;
+  self.getNodes         = getNodes;
+  self.removeDeadNodes  = removeDeadNodes;
+  self.electCoordinator = electCoordinator;
+  self.getCoordinator   = getCoordinator;
+  self.isPlanned        = isPlanned;
+
+  self.keepLease          = keepLease;
+  self.renewLease         = renewLease;
+  self.requeueExpiredJobs = requeueExpiredJobs;
+  self.getInProgressJobs  = getInProgressJobs;
+  self.getInProgressCount = getInProgressCount;
 
   self.getCompletedJobs  = getCompletedJobs;
   self.getCompletedCount = getCompletedCount;
   self.getBacklogJobs    = getBacklogJobs;
   self.getBacklogCount   = getBacklogCount;
+  self.getFailedJobs     = getFailedJobs;
+  self.getFailedCount    = getFailedCount;
+
+  self.saveReconciliation = saveReconciliation;
+  self.getReconciliation  = getReconciliation;
+
+  self.pushDeadLetters    = pushDeadLetters;
+  self.filterDeadLettered = filterDeadLettered;
+  self.markDeadLettered   = markDeadLettered;
+  self.getDeadLetters     = getDeadLetters;
+  self.getDeadLetterCount = getDeadLetterCount;
+  self.clearDeadLetters   = clearDeadLetters;
+
+  self.requeueFailedJobs = requeueFailedJobs;
 
   self.clearBacklogJobs   = clearBacklogJobs;
   self.clearCompletedJobs = clearCompletedJobs;
+  self.clearFailedJobs    = clearFailedJobs;
+
+  self.prepareNewJobs = prepareNewJobs;
+  self.planJobs       = planJobs;
+  self.initialize     = initialize;
+
+  self._addCountToJobs             = addCountToJobs;
+  self._partitionJobs              = partitionJobs;
+  self._resetFiltersAndComparators = ()=> {
+    indexFilter     = null;
+    indexComparator = null;
+    typeFilter      = null;
+    partition       = null;
+    splitByShard    = false;
+    slices          = null;
+    since           = null;
+    globalQuery     = null;
+    queries         = null;
+    maxAttempts     = DEFAULT_MAX_ATTEMPTS;
+    runId           = null;
+  };
+};
+
+/**
+ * Set the run that every key is namespaced under. Without one, the original un-prefixed keys are used.
+ *
+ * @param id
+ */
+const setRunId = (id)=> {
+  if (_.isUndefined(id) || _.isNull(id)) {
+    runId = null;
+    return;
+  }
+
+  if (!_.isString(id) || !RUN_ID_REGEX.test(id)) {
+    throw new Error(`runId: '${id}' must be a string of letters, numbers, '_' or '-'`);
+  }
+
+  runId = id;
+};
+
+/**
+ * Get the full name of a key in the store for the current run, or the given one
+ *
+ * @param name
+ * @param targetRunId
+ * @returns {string}
+ */
+const key = (name, targetRunId)=> {
+  if (_.isUndefined(targetRunId)) {
+    targetRunId = runId;
+  }
+
+  return targetRunId ? `${targetRunId}:${name}` : name;
+};
+
+/**
+ * Record the current run in the list of runs, if it is namespaced
+ *
+ * @returns {Promise.<TResult>}
+ */
+const registerRun = ()=> {
+  if (!runId) {
+    return Promise.resolve();
+  }
+
+  return store.hset(RUNS_KEY, runId, moment().toISOString());
+};
+
+/**
+ * List every namespaced run in the store, with the totals of its backlog, completed and failed jobs
+ *
+ * @returns {Promise.<TResult>}
+ */
+const listRuns = ()=> {
+  return store.hgetall(RUNS_KEY).then((runs)=> {
+    return Promise.mapSeries(_.keys(runs).sort(), (id)=> {
+      return Promise.props({
+        runId:          id,
+        initialized:    runs[id],
+        backlogJobs:    store.hvals(key(BACKLOG_HSET_KEY, id)).then(_.size),
+        backlogCount:   sumCounts(key(BACKLOG_HSET_KEY, id)),
+        completedJobs:  store.hvals(key(COMPLETED_KEY, id)).then(_.size),
+        completedCount: sumCounts(key(COMPLETED_KEY, id)),
+        failedJobs:     store.hvals(key(FAILED_KEY, id)).then(_.size)
+      });
+    });
+  });
+};
+
+/**
+ * Delete every key of a namespaced run.
+ *
+ * Refuses to delete a run that still has jobs in its backlog, unless forced.
+ *
+ * @param id
+ * @param force
+ * @returns {Promise.<TResult>}
+ */
+const deleteRun = (id, force)=> {
+  if (!_.isString(id) || !RUN_ID_REGEX.test(id)) {
+    throw new Error(`runId: '${id}' must be a string of letters, numbers, '_' or '-'`);
+  }
+
+  return sumCounts(key(BACKLOG_HSET_KEY, id)).then((backlogCount)=> {
+    if (backlogCount > 0 && !force) {
+      return Promise.reject(new Error(`run: '${id}' still has ${backlogCount} docs in its backlog`));
+    }
+
+    log.info(`deleting run: ${id}`);
+
+    return Promise.each(RUN_KEYS, (name)=> {
+      return store.del(key(name, id));
+    }).then(()=> {
+      return store.hdel(RUNS_KEY, id);
+    });
+  });
+};
+
+/**
+ * Sum the counts of every job in a hash of job IDs to counts
+ *
+ * @param hashKey
+ * @returns {Promise.<TResult>}
+ */
+const sumCounts = (hashKey)=> {
+  return store.hvals(hashKey).then((counts)=> {
+    return _.reduce(counts, (total, count)=> {
+      total += parseInt(count);
+      return total;
+    }, 0);
+  });
+};
+
+/**
+ * Claim the next job in the queue and return it
+ *
+ * The job is atomically moved to the in progress list, and leased to this process. If the lease is not renewed
+ * (see keepLease), the job is put back in the queue by requeueExpiredJobs.
+ *
+ * @returns {Promise.<TResult>}
+ */
+const fetchJob = ()=> {
+  return store.rpoplpush(key(BACKLOG_QUEUE_KEY), key(IN_PROGRESS_QUEUE_KEY)).then((jobID)=> {
+    if (_.isNull(jobID)) {
+      return null;
+    }
+
+    return store.hget(key(BACKLOG_HSET_KEY), jobID).then((count)=> {
+      return Job.createFromID(jobID, count);
+    }).then((job)=> {
+      // Count is written to the in progress hash before being removed from the backlog, so it is never lost
+      return store.hset(key(IN_PROGRESS_HSET_KEY), jobID, job.count).then(()=> {
+        return store.hset(key(LEASES_KEY), jobID, createLease());
+      }).then(()=> {
+        return store.hdel(key(BACKLOG_HSET_KEY), jobID);
+      }).return(job);
+    });
+  });
+};
+
+/**
+ * Lease value for this process, expiring LEASE_TIMEOUT from now
+ *
+ * @returns {string}
+ */
+const createLease = ()=> {
+  return JSON.stringify({
+    owner:   LEASE_OWNER,
+    expires: moment().valueOf() + LEASE_TIMEOUT
+  });
+};
+
+/**
+ * Extend the lease on a job this process is working on
+ *
+ * Resolves false if the lease is no longer held by this process, eg it expired and the job was requeued.
+ *
+ * @param job
+ * @returns {Promise.<TResult>}
+ */
+const renewLease = (job)=> {
+  return store.renewLease(key(LEASES_KEY), job.getID(), LEASE_OWNER, createLease()).then((renewed)=> {
+    return renewed === 1;
+  });
+};
+
+/**
+ * Renew the lease on a job periodically until the returned function is called
+ *
+ * @param job
+ * @returns {Function}
+ */
+const keepLease = (job)=> {
+  const interval = setInterval(()=> {
+    renewLease(job).then((renewed)=> {
+      if (!renewed) {
+        log.warn(`lost lease on job: ${job}, it may be transferred again by another worker`);
+      }
+    }).catch((error)=> {
+      log.error(`Error renewing lease on job: ${job}`, error);
+    });
+  }, LEASE_TIMEOUT / LEASE_RENEWALS);
+
+  return ()=> {
+    clearInterval(interval);
+  };
+};
+
+/**
+ * Put every in progress job with an expired lease back in the queue, and resolve how many were requeued
+ *
+ * Jobs that are in progress without any lease (the process claiming it died before writing the lease)
+ * are given one, so they are requeued if it is never renewed.
+ *
+ * @returns {Promise.<TResult>}
+ */
+const requeueExpiredJobs = ()=> {
+  return Promise.join(store.lrange(key(IN_PROGRESS_QUEUE_KEY), 0, -1), store.hgetall(key(LEASES_KEY)),
+    (jobIDs, leases)=> {
+      const now = moment().valueOf();
+
+      return Promise.reduce(_.uniq(jobIDs), (requeued, jobID)=> {
+        if (!_.has(leases, jobID)) {
+          return store.hsetnx(key(LEASES_KEY), jobID, createLease()).return(requeued);
+        }
+
+        if (JSON.parse(leases[jobID]).expires > now) {
+          return requeued;
+        }
+
+        // Removing the job from the in progress list is what claims it, so it can only be requeued once
+        return store.lrem(key(IN_PROGRESS_QUEUE_KEY), 0, jobID).then((removed)=> {
+          if (removed === 0) {
+            return requeued;
+          }
+
+          return findJobCount(jobID).then((count)=> {
+            const job = Job.createFromID(jobID, count);
+            log.warn(`lease expired on job: ${job}, requeueing`);
+
+            return releaseJob(job).then(()=> {
+              return queueJob(job);
+            });
+          }).return(requeued + 1);
+        });
+      }, 0);
+    });
+};
+
+/**
+ * Find the count of an in progress job, wherever it currently is
+ *
+ * @param jobID
+ * @returns {Promise.<TResult>}
+ */
+const findJobCount = (jobID)=> {
+  return store.hget(key(IN_PROGRESS_HSET_KEY), jobID).then((count)=> {
+    if (!_.isNull(count)) {
+      return count;
+    }
+
+    return store.hget(key(BACKLOG_HSET_KEY), jobID).then((backlogCount)=> {
+      return _.isNull(backlogCount) ? 0 : backlogCount;
+    });
+  });
+};
+
+/**
+ * Remove every trace of a job being in progress
+ *
+ * @param job
+ * @returns {Promise.<TResult>}
+ */
+const releaseJob = (job)=> {
+  return store.lrem(key(IN_PROGRESS_QUEUE_KEY), 0, job.getID()).then(()=> {
+    return store.hdel(key(IN_PROGRESS_HSET_KEY), job.getID());
+  }).then(()=> {
+    return store.hdel(key(LEASES_KEY), job.getID());
+  });
+};
+
+/**
+ * Returns all in progress jobs and their counts
+ *
+ * @returns {Promise.<TResult>}
+ */
+const getInProgressJobs = ()=> {
+  return store.hgetall(key(IN_PROGRESS_HSET_KEY)).then((jobsAndCounts)=> {
+    return _.map(jobsAndCounts, (count, jobID)=> {
+      return Job.createFromID(jobID, count);
+    });
+  });
+};
+
+/**
+ * Get the number of jobs currently in progress
+ *
+ * @returns {Promise.<TResult>}
+ */
+const getInProgressCount = ()=> {
+  return store.llen(key(IN_PROGRESS_QUEUE_KEY));
+};
+
+/**
+ * Add job to queue
+ *
+ * @param job
+ * @returns {Promise.<TResult>}
+ */
+const queueJob = (job)=> {
+  if (!(job instanceof Job)) {
+    job = new Job(job);
+  }
+
+  return store.hset(key(BACKLOG_HSET_KEY), job.getID(), job.count).then((numberAdded)=> {
+    if (numberAdded === 0) {
+      log.warn(`job: ${job} already in queue`);
+      return Promise.resolve();
+    } else {
+      // Jobs are claimed from the tail of the list, so pushing to the head keeps them in order
+      return store.lpush(key(BACKLOG_QUEUE_KEY), job.getID());
+    }
+  });
+};
+
+/**
+ * Put a job that was in progress back in the queue, eg after it failed
+ *
+ * @param job
+ * @returns {Promise.<TResult>}
+ */
+const requeueJob = (job)=> {
+  if (!(job instanceof Job)) {
+    job = new Job(job);
+  }
+
+  return releaseJob(job).then(()=> {
+    return queueJob(job);
+  });
+};
+
+/**
+ * Mark a job as completed
+ *
+ * @param job
+ * @returns {Promise.<TResult>}
+ */
+const completeJob = (job)=> {
+  if (!(job instanceof Job)) {
+    job = new Job(job);
+  }
+
+  return store.hset(key(COMPLETED_KEY), job.getID(), job.count).then(()=> {
+    return releaseJob(job);
+  }).then(()=> {
+    return store.hdel(key(ATTEMPTS_KEY), job.getID());
+  }).then(()=> {
+    return store.hdel(key(CHECKPOINTS_KEY), job.getID());
+  }).then(()=> {
+    // If the lease expired while the job was still running, it may have been requeued in the meantime
+    return store.lrem(key(BACKLOG_QUEUE_KEY), 0, job.getID());
+  }).then(()=> {
+    return store.hdel(key(BACKLOG_HSET_KEY), job.getID());
+  });
+};
+
+/**
+ * Save how far into a job the transfer has got, eg {field, sort, transferred}
+ *
+ * @param job
+ * @param checkpoint
+ * @returns {Promise.<TResult>}
+ */
+const saveCheckpoint = (job, checkpoint)=> {
+  return store.hset(key(CHECKPOINTS_KEY), job.getID(), JSON.stringify(checkpoint));
+};
+
+/**
+ * Get the last checkpoint saved for a job, or null if there is none
+ *
+ * @param job
+ * @returns {Promise.<TResult>}
+ */
+const getCheckpoint = (job)=> {
+  return store.hget(key(CHECKPOINTS_KEY), job.getID()).then((checkpoint)=> {
+    return _.isNull(checkpoint) ? null : JSON.parse(checkpoint);
+  });
+};
+
+/**
+ * Clear the checkpoints of every job
+ *
+ * @returns {Promise.<TResult>}
+ */
+const clearCheckpoints = ()=> {
+  return store.del(key(CHECKPOINTS_KEY));
+};
+
+/**
+ * Save the reconciliation of a job, eg {status: 'mismatch', source: 10, dest: 9}
+ *
+ * @param job
+ * @param reconciliation
+ * @returns {Promise.<TResult>}
+ */
+const saveReconciliation = (job, reconciliation)=> {
+  return store.hset(key(RECONCILIATION_KEY), job.getID(), JSON.stringify(reconciliation));
+};
+
+/**
+ * Get every reconciled job, with its reconciliation added to the job
+ *
+ * @returns {Promise.<TResult>}
+ */
+const getReconciliation = ()=> {
+  return Promise.join(store.hgetall(key(RECONCILIATION_KEY)), store.hgetall(key(COMPLETED_KEY)), (reconciliations, counts)=> {
+    return _.map(reconciliations, (reconciliation, jobID)=> {
+      const job = Job.createFromID(jobID, _.get(counts, jobID, 0));
+
+      job.reconciliation = JSON.parse(reconciliation);
+      return job;
+    });
+  });
+};
+
+/**
+ * Get the high-water mark of every index/type recorded by the last complete run, eg {index, type, field, value}
+ *
+ * @returns {Promise.<TResult>}
+ */
+const getHighWaterMarks = ()=> {
+  return store.hgetall(key(HIGH_WATER_MARKS_KEY)).then((marks)=> {
+    return _.map(marks, (mark, id)=> {
+      return _.assign(JSON.parse(id), JSON.parse(mark));
+    });
+  });
+};
+
+/**
+ * Look up and keep the current highest value of the since field of every index/type about to be transferred.
+ *
+ * They only become the high-water marks once the run completes (see commitHighWaterMarks).
+ *
+ * @param jobs
+ * @returns {Promise.<TResult>}
+ */
+const savePendingHighWaterMarks = (jobs)=> {
+  const targets = _.uniqBy(_.filter(jobs, (job)=> {
+    return !_.isNull(getSinceField(job.index));
+  }), (job)=> {
+    return Job.createID({index: job.index, type: job.type});
+  });
+
+  return store.del(key(PENDING_HIGH_WATER_MARKS_KEY)).then(()=> {
+    return Promise.each(targets, (target)=> {
+      const field = getSinceField(target.index);
+
+      return getFieldBounds(target.index, target.type, field).then((bounds)=> {
+        // Nothing to record if no doc has the field yet, so the next run transfers everything again
+        if (!_.isFinite(bounds.max)) {
+          return Promise.resolve();
+        }
+
+        return store.hset(key(PENDING_HIGH_WATER_MARKS_KEY), Job.createID({index: target.index, type: target.type}), JSON.stringify({
+          field: field,
+          value: bounds.max
+        }));
+      });
+    });
+  });
+};
+
+/**
+ * Make the values recorded when the run was initialized the high-water marks the next since run starts from.
+ *
+ * Only to be called once every job of the run completed, otherwise docs of unfinished jobs would never be transferred.
+ *
+ * @returns {Promise.<TResult>}
+ */
+const commitHighWaterMarks = ()=> {
+  return store.hgetall(key(PENDING_HIGH_WATER_MARKS_KEY)).then((marks)=> {
+    return Promise.each(_.keys(marks), (id)=> {
+      return store.hset(key(HIGH_WATER_MARKS_KEY), id, marks[id]);
+    }).then(()=> {
+      return store.del(key(PENDING_HIGH_WATER_MARKS_KEY));
+    }).then(()=> {
+      log.info(`recorded ${_.size(marks)} high-water marks`);
+      return _.size(marks);
+    });
+  });
+};
+
+/**
+ * Get how far the destination is behind the source for every index/type in since mode, eg
+ * {index, type, field, newest, transferred, lag}.
+ *
+ * newest is the current highest value of the field in the source, transferred the high-water mark of the last complete
+ * run, and lag the difference between the two. transferred and lag are null until a first run completed.
+ *
+ * @returns {Promise.<TResult>}
+ */
+const getLag = ()=> {
+  return Promise.join(store.hgetall(key(HIGH_WATER_MARKS_KEY)), store.hgetall(key(PENDING_HIGH_WATER_MARKS_KEY)), (marks, pending)=> {
+    const ids = _.union(_.keys(marks), _.keys(pending)).sort();
+
+    return Promise.mapSeries(ids, (id)=> {
+      const target = JSON.parse(id);
+      const mark   = _.has(marks, id) ? JSON.parse(marks[id]) : null;
+      const field  = mark ? mark.field : JSON.parse(pending[id]).field;
+
+      return getFieldBounds(target.index, target.type, field).then((bounds)=> {
+        const newest = _.isFinite(bounds.max) ? bounds.max : null;
+
+        return {
+          index:       target.index,
+          type:        target.type,
+          field:       field,
+          newest:      newest,
+          transferred: mark ? mark.value : null,
+          lag:         (mark && !_.isNull(newest)) ? Math.max(newest - mark.value, 0) : null
+        };
+      });
+    });
+  });
+};
+
+/**
+ * Ask the master of a run in sync mode to transfer the last docs and stop
+ *
+ * @returns {Promise.<TResult>}
+ */
+const requestCutover = ()=> {
+  log.info('requesting cutover');
+  return store.hset(key(SYNC_KEY), 'cutover', moment().toISOString());
+};
+
+/**
+ * Whether a cutover was requested since the run started syncing
+ *
+ * @returns {Promise.<TResult>}
+ */
+const isCutoverRequested = ()=> {
+  return store.hget(key(SYNC_KEY), 'cutover').then((requested)=> {
+    return !_.isNull(requested);
+  });
+};
+
+/**
+ * Tell the workers of every node that no more sync rounds are coming
+ *
+ * @returns {Promise.<TResult>}
+ */
+const stopSync = ()=> {
+  return store.hset(key(SYNC_KEY), 'stopped', moment().toISOString());
+};
+
+/**
+ * Whether the coordinator stopped syncing
+ *
+ * @returns {Promise.<TResult>}
+ */
+const isSyncStopped = ()=> {
+  return store.hget(key(SYNC_KEY), 'stopped').then((stopped)=> {
+    return !_.isNull(stopped);
+  });
+};
+
+/**
+ * Forget any cutover request or stop, eg left over by a previous sync of the run
+ *
+ * @returns {Promise.<TResult>}
+ */
+const resetSync = ()=> {
+  return store.hdel(key(SYNC_KEY), 'cutover', 'stopped');
+};
+
+/**
+ * Pause the workers of every node after their current flush, until resumed
+ *
+ * @returns {Promise.<TResult>}
+ */
+const pause = ()=> {
+  return setControlState('paused');
+};
+
+/**
+ * Let paused workers continue, or clear a cancel so the run can be started again
+ *
+ * @returns {Promise.<TResult>}
+ */
+const resume = ()=> {
+  return setControlState('running');
+};
+
+/**
+ * Stop the workers of every node after their current flush. Their jobs are requeued, and resume from their checkpoint.
+ *
+ * @returns {Promise.<TResult>}
+ */
+const cancel = ()=> {
+  return setControlState('cancelled');
+};
+
+/**
+ * Set the state workers follow, one of CONTROL_STATES
+ *
+ * @param state
+ * @returns {Promise.<TResult>}
+ */
+const setControlState = (state)=> {
+  if (!_.includes(CONTROL_STATES, state)) {
+    throw new Error(`control state: '${state}' must be one of: [${_.join(CONTROL_STATES, ',')}]`);
+  }
+
+  log.info(`setting control state: ${state}`);
+  return store.hset(key(CONTROL_KEY), 'state', state);
+};
+
+/**
+ * Get the state workers follow, running unless set otherwise
+ *
+ * @returns {Promise.<TResult>}
+ */
+const getControlState = ()=> {
+  return store.hget(key(CONTROL_KEY), 'state').then((state)=> {
+    return _.isNull(state) ? 'running' : state;
+  });
+};
+
+/**
+ * Set the rate limits every node of the run keeps to together, eg {docsPerSecond: 1000}. Without any, the rate is
+ * unlimited.
+ *
+ * @param limits
+ * @returns {Promise.<TResult>}
+ */
+const setRateLimits = (limits)=> {
+  const validated = rateLimiter.validateLimits(limits);
+
+  log.info(`setting rate limits: ${rateLimiter.describeLimits(validated)}`);
+  return store.hset(key(CONTROL_KEY), 'rateLimits', JSON.stringify(validated));
+};
+
+/**
+ * Get the rate limits of the run, none unless set
+ *
+ * @returns {Promise.<TResult>}
+ */
+const getRateLimits = ()=> {
+  return store.hget(key(CONTROL_KEY), 'rateLimits').then((limits)=> {
+    return _.isNull(limits) ? {} : JSON.parse(limits);
+  });
+};
+
+/**
+ * Register this node in the run, or renew its heartbeat, along with its current status (eg the progress of its workers)
+ *
+ * @param status
+ * @returns {Promise.<TResult>}
+ */
+const registerNode = (status)=> {
+  return store.hset(key(NODES_KEY), NODE_ID, JSON.stringify(_.assign({}, status, {
+    heartbeat: moment().valueOf()
+  })));
+};
+
+/**
+ * Remove this node from the run
+ *
+ * @returns {Promise.<TResult>}
+ */
+const deregisterNode = ()=> {
+  return store.hdel(key(NODES_KEY), NODE_ID);
+};
+
+/**
+ * Get every node registered in the run with its last status, and whether its heartbeat is recent enough to be alive
+ *
+ * @returns {Promise.<TResult>}
+ */
+const getNodes = ()=> {
+  return store.hgetall(key(NODES_KEY)).then((nodes)=> {
+    const now = moment().valueOf();
+
+    return _.map(_.keys(nodes).sort(), (id)=> {
+      const node = JSON.parse(nodes[id]);
+
+      return _.assign(node, {
+        id:    id,
+        alive: node.heartbeat + NODE_TIMEOUT > now
+      });
+    });
+  });
+};
+
+/**
+ * Remove every node that stopped sending heartbeats from the run, and resolve how many were removed
+ *
+ * @returns {Promise.<TResult>}
+ */
+const removeDeadNodes = ()=> {
+  return getNodes().then((nodes)=> {
+    const dead = _.reject(nodes, 'alive');
+
+    return Promise.each(dead, (node)=> {
+      log.warn(`node: ${node.id} stopped responding, removing it from the run`);
+      return store.hdel(key(NODES_KEY), node.id);
+    }).then(()=> {
+      return dead.length;
+    });
+  });
+};
+
+/**
+ * Get the current term of the coordinator and the node it belongs to, eg {term, owner}
+ *
+ * @returns {Promise.<TResult>}
+ */
+const getCoordinator = ()=> {
+  return store.hgetall(key(COORDINATOR_KEY)).then((terms)=> {
+    const term = _.max(_.map(_.keys(terms), Number)) || 0;
+
+    return {
+      term:  term,
+      owner: _.has(terms, term) ? terms[term] : null
+    };
+  });
+};
+
+/**
+ * Make sure the run has a coordinator, and resolve whether it is this node.
+ *
+ * If there is no coordinator, or its node is no longer alive, every node tries to claim the next term. Claiming is
+ * atomic (hsetnx), so exactly one of them takes over.
+ *
+ * @returns {Promise.<TResult>}
+ */
+const electCoordinator = ()=> {
+  return Promise.join(getCoordinator(), getNodes(), (coordinator, nodes)=> {
+    if (coordinator.owner === NODE_ID) {
+      return true;
+    }
+
+    if (_.some(nodes, {id: coordinator.owner, alive: true})) {
+      return false;
+    }
+
+    const nextTerm = coordinator.term + 1;
+
+    return store.hsetnx(key(COORDINATOR_KEY), nextTerm, NODE_ID).then((claimed)=> {
+      if (!claimed) {
+        return false;
+      }
+
+      log.info(`node: ${NODE_ID} is now the coordinator (term ${nextTerm}), previously: ${coordinator.owner}`);
+
+      if (coordinator.term === 0) {
+        return true;
+      }
+
+      // Earlier terms are never looked at again
+      return store.hdel.apply(store, _.concat(key(COORDINATOR_KEY), _.range(1, nextTerm))).return(true);
+    });
+  });
+};
+
+/**
+ * Record that the backlog of the run is planned
+ *
+ * @returns {Promise.<TResult>}
+ */
+const markPlanned = ()=> {
+  return store.hset(key(PLANNED_KEY), 'at', moment().toISOString());
+};
+
+/**
+ * Whether the backlog of the run is planned
+ *
+ * @returns {Promise.<TResult>}
+ */
+const isPlanned = ()=> {
+  return store.hget(key(PLANNED_KEY), 'at').then((planned)=> {
+    return !_.isNull(planned);
+  });
+};
+
+/**
+ * Restrict every job of an index with a since field to docs at or after its last high-water mark.
+ *
+ * Jobs of index/types without a high-water mark on that field yet are left to transfer everything.
+ *
+ * @param jobs
+ * @returns {Promise.<TResult>}
+ */
+const addSinceToJobs = (jobs)=> {
+  if (!since) {
+    return Promise.resolve(jobs);
+  }
+
+  return store.hgetall(key(HIGH_WATER_MARKS_KEY)).then((marks)=> {
+    return _.map(jobs, (job)=> {
+      const field = getSinceField(job.index);
+      const id    = Job.createID({index: job.index, type: job.type});
+      const mark  = _.has(marks, id) ? JSON.parse(marks[id]) : null;
+
+      if (_.isNull(field) || _.isNull(mark) || mark.field !== field) {
+        return job;
+      }
+
+      return _.assign({}, job, {
+        since: {
+          field: field,
+          gte:   mark.value
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Restrict every job of an index with a query configured to the docs matching it: the query of the first index pattern
+ * matching the index, or else the global query
+ *
+ * @param jobs
+ * @returns {Array}
+ */
+const addQueryToJobs = (jobs)=> {
+  if (!globalQuery && !queries) {
+    return jobs;
+  }
+
+  return _.map(jobs, (job)=> {
+    const pattern = _.find(_.keys(queries), (candidate)=> {
+      return utils.matchesPattern(job.index, candidate);
+    });
+    const query   = _.isUndefined(pattern) ? globalQuery : queries[pattern];
+
+    return query ? _.assign({}, job, {query: query}) : job;
+  });
+};
+
+/**
+ * Get the since field configured for an index, or null if it has none
+ *
+ * @param index
+ * @returns {*}
+ */
+const getSinceField = (index)=> {
+  if (!since) {
+    return null;
+  }
+
+  const pattern = _.find(_.keys(since), (candidate)=> {
+    return utils.matchesPattern(index, candidate);
+  });
+
+  return _.isUndefined(pattern) ? null : since[pattern];
+};
+
+/**
+ * Record a failed attempt at a job, then requeue it, or mark it as failed if it has been attempted maxAttempts times.
+ *
+ * Resolves true if the job was marked as failed.
+ *
+ * @param job
+ * @param error
+ * @returns {Promise.<TResult>}
+ */
+const failJob = (job, error)=> {
+  if (!(job instanceof Job)) {
+    job = new Job(job);
+  }
+
+  return store.hget(key(ATTEMPTS_KEY), job.getID()).then((previous)=> {
+    const attempts = {
+      attempts:    _.isNull(previous) ? 1 : JSON.parse(previous).attempts + 1,
+      lastError:   _.truncate(getErrorMessage(error), {length: MAX_ERROR_LENGTH}),
+      lastErrorAt: moment().toISOString()
+    };
+
+    return store.hset(key(ATTEMPTS_KEY), job.getID(), JSON.stringify(attempts)).return(attempts);
+  }).then((attempts)=> {
+    if (attempts.attempts < maxAttempts) {
+      log.warn(`job: ${job} failed attempt ${attempts.attempts} of ${maxAttempts}, requeueing`);
+      return requeueJob(job).return(false);
+    }
+
+    log.error(`job: ${job} failed ${attempts.attempts} times, giving up`);
+
+    return store.hset(key(FAILED_KEY), job.getID(), job.count).then(()=> {
+      return releaseJob(job);
+    }).return(true);
+  });
+};
+
+/**
+ * Get a readable message from whatever a failed job was rejected with
+ *
+ * @param error
+ * @returns {string}
+ */
+const getErrorMessage = (error)=> {
+  if (_.isError(error)) {
+    return error.message;
+  } else if (_.isString(error)) {
+    return error;
+  }
+
+  return JSON.stringify(error);
+};
+
+/**
+ * Returns all failed jobs, with their attempts, last error and when it happened
+ *
+ * @returns {Promise.<TResult>}
+ */
+const getFailedJobs = ()=> {
+  return Promise.join(store.hgetall(key(FAILED_KEY)), store.hgetall(key(ATTEMPTS_KEY)), (jobsAndCounts, attempts)=> {
+    return _.map(jobsAndCounts, (count, jobID)=> {
+      const job = Job.createFromID(jobID, count);
 
-  self.prepareNewJobs = prepareNewJobs;
-  self.initialize     = initialize;
+      if (_.has(attempts, jobID)) {
+        _.assign(job, JSON.parse(attempts[jobID]));
+      }
 
-  self._addCountToJobs             = addCountToJobs;
-  self._resetFiltersAndComparators = ()=> {
-    indexFilter     = null;
-    indexComparator = null;
-    typeFilter      = null;
-  };
+      return job;
+    });
+  });
 };
 
 /**
- * Pop a job off the queue and return it
+ * Get total docs in failed jobs
  *
  * @returns {Promise.<TResult>}
  */
-const fetchJob = ()=> {
-  return redis.lpop(BACKLOG_QUEUE_KEY).then((jobID)=> {
-    if (_.isNull(jobID)) {
-      return null;
-    }
+const getFailedCount = ()=> {
+  return sumCounts(key(FAILED_KEY));
+};
 
-    return redis.hget(BACKLOG_HSET_KEY, jobID).then((count)=> {
-      return Job.createFromID(jobID, count);
-    }).then((job)=> {
-      return redis.hdel(BACKLOG_HSET_KEY, job.getID()).return(job);
+/**
+ * Put every failed job back in the queue with its attempts reset, and resolve how many were requeued
+ *
+ * @returns {Promise.<TResult>}
+ */
+const requeueFailedJobs = ()=> {
+  return getFailedJobs().then((jobs)=> {
+    return Promise.each(jobs, (job)=> {
+      return store.hdel(key(FAILED_KEY), job.getID()).then(()=> {
+        return store.hdel(key(ATTEMPTS_KEY), job.getID());
+      }).then(()=> {
+        return queueJob(job);
+      });
     });
+  }).then((jobs)=> {
+    log.info(`requeued ${jobs.length} failed jobs`);
+    return jobs.length;
   });
 };
 
 /**
- * Add job to queue
+ * Add dead-lettered docs to the end of the list of the run
  *
- * @param job
+ * @param entries
  * @returns {Promise.<TResult>}
  */
-const queueJob = (job)=> {
-  if (!(job instanceof Job)) {
-    job = new Job(job);
+const pushDeadLetters = (entries)=> {
+  if (_.isEmpty(entries)) {
+    return Promise.resolve(0);
   }
 
-  return redis.hset(BACKLOG_HSET_KEY, job.getID(), job.count).then((numberAdded)=> {
-    if (numberAdded === 0) {
-      log.warn(`job: ${job} already in queue`);
-      return Promise.resolve();
-    } else {
-      return redis.rpush(BACKLOG_QUEUE_KEY, job.getID());
-    }
+  return store.rpush.apply(store, _.concat(key(DEAD_LETTER_KEY), _.map(entries, (entry)=> {
+    return JSON.stringify(entry);
+  })));
+};
+
+/**
+ * Get the entries of docs not already dead-lettered by their job
+ *
+ * @param entries
+ * @returns {Promise.<TResult>}
+ */
+const filterDeadLettered = (entries)=> {
+  return Promise.filter(entries, (entry)=> {
+    return store.hget(key(DEAD_LETTERED_KEY), getDeadLetterField(entry)).then((deadLettered)=> {
+      return !deadLettered;
+    });
   });
 };
 
 /**
- * Mark a job as completed
+ * Record the docs of entries as dead-lettered by their job
  *
- * @param job
+ * @param entries
  * @returns {Promise.<TResult>}
  */
-const completeJob = (job)=> {
-  if (!(job instanceof Job)) {
-    job = new Job(job);
-  }
+const markDeadLettered = (entries)=> {
+  return Promise.each(entries, (entry)=> {
+    return store.hset(key(DEAD_LETTERED_KEY), getDeadLetterField(entry), 1);
+  });
+};
+
+/**
+ * Identify the doc of a dead letter entry within the run, by its job and the id of its bulk action
+ *
+ * @param entry
+ * @returns {string}
+ */
+const getDeadLetterField = (entry)=> {
+  return JSON.stringify([entry.job, _.values(entry.action)[0]._id]);
+};
+
+/**
+ * Get every dead-lettered doc of the run, oldest first
+ *
+ * @returns {Promise.<TResult>}
+ */
+const getDeadLetters = ()=> {
+  return store.lrange(key(DEAD_LETTER_KEY), 0, -1).then((entries)=> {
+    return _.map(entries, (entry)=> {
+      return JSON.parse(entry);
+    });
+  });
+};
 
-  return redis.hset(COMPLETED_KEY, job.getID(), job.count);
+/**
+ * Get the number of dead-lettered docs of the run
+ *
+ * @returns {Promise.<TResult>}
+ */
+const getDeadLetterCount = ()=> {
+  return store.llen(key(DEAD_LETTER_KEY));
+};
+
+/**
+ * Clear the dead-lettered docs of the run, and which were dead-lettered
+ *
+ * @returns {Promise.<TResult>}
+ */
+const clearDeadLetters = ()=> {
+  return store.del(key(DEAD_LETTER_KEY), key(DEAD_LETTERED_KEY));
+};
+
+/**
+ * Clear failed jobs, and the attempts of every job
+ *
+ * @returns {Promise.<TResult>}
+ */
+const clearFailedJobs = ()=> {
+  return store.del(key(FAILED_KEY), key(ATTEMPTS_KEY));
 };
 
 /**
@@ -126,8 +1309,11 @@ const completeJob = (job)=> {
 const clearBacklogJobs = ()=> {
   log.info('clearing existing backlog');
 
-  return redis.del(BACKLOG_QUEUE_KEY).then(()=> {
-    return redis.del(BACKLOG_HSET_KEY);
+  return store.del(key(BACKLOG_QUEUE_KEY)).then(()=> {
+    return store.del(key(BACKLOG_HSET_KEY));
+  }).then(()=> {
+    // Anything still in progress belongs to a previous run, and is planned again
+    return store.del(key(IN_PROGRESS_QUEUE_KEY), key(IN_PROGRESS_HSET_KEY), key(LEASES_KEY));
   });
 };
 
@@ -137,7 +1323,7 @@ const clearBacklogJobs = ()=> {
  * @returns {Promise.<TResult>}
  */
 const getBacklogJobs = ()=> {
-  return redis.hgetall(BACKLOG_HSET_KEY).then((jobsAndCounts)=> {
+  return store.hgetall(key(BACKLOG_HSET_KEY)).then((jobsAndCounts)=> {
     // ioredis returns an object where the keys are the hash fields and the values are the hash values
     return _.map(jobsAndCounts, (count, jobID)=> {
       return Job.createFromID(jobID, count);
@@ -151,12 +1337,7 @@ const getBacklogJobs = ()=> {
  * @returns {Promise.<TResult>}
  */
 const getBacklogCount = ()=> {
-  return redis.hvals(BACKLOG_HSET_KEY).then((counts)=> {
-    return _.reduce(counts, (total, count)=> {
-      total += parseInt(count);
-      return total;
-    }, 0);
-  });
+  return sumCounts(key(BACKLOG_HSET_KEY));
 };
 
 /**
@@ -165,7 +1346,7 @@ const getBacklogCount = ()=> {
  * @returns {Promise.<TResult>}
  */
 const getCompletedJobs = ()=> {
-  return redis.hgetall(COMPLETED_KEY).then((jobsAndCounts)=> {
+  return store.hgetall(key(COMPLETED_KEY)).then((jobsAndCounts)=> {
     // ioredis returns an object where the keys are the hash fields and the values are the hash values
     return _.map(jobsAndCounts, (count, jobID)=> {
       return Job.createFromID(jobID, count);
@@ -179,21 +1360,16 @@ const getCompletedJobs = ()=> {
  * @returns {Promise.<TResult>}
  */
 const getCompletedCount = ()=> {
-  return redis.hvals(COMPLETED_KEY).then((counts)=> {
-    return _.reduce(counts, (total, count)=> {
-      total += parseInt(count);
-      return total;
-    }, 0);
-  });
+  return sumCounts(key(COMPLETED_KEY));
 };
 
 /**
- * Clear any completed jobs
+ * Clear any completed jobs, and their reconciliation
  *
  * @returns {Promise.<TResult>}
  */
 const clearCompletedJobs = ()=> {
-  return redis.del(COMPLETED_KEY);
+  return store.del(key(COMPLETED_KEY), key(RECONCILIATION_KEY));
 };
 
 /**
@@ -206,16 +1382,50 @@ const addCountToJobs = (jobs)=> {
   log.info('counting docs in existing indices');
 
   return Promise.mapSeries(jobs, (job)=> {
-    return source.count({
+    if (!(job instanceof Job)) {
+      job = new Job(_.assign({count: 0}, job));
+    }
+
+    if (job.slice) {
+      return countSlice(job).then((count)=> {
+        job.count = count;
+        return job;
+      });
+    }
+
+    return source.count(_.assign({
       index: job.index,
-      type:  job.type
-    }).then((result)=> {
+      type:  job.type,
+      body:  job.getQueryBody()
+    }, job.getSearchParams())).then((result)=> {
       job.count = parseInt(result.count);
       return job;
     });
   });
 };
 
+/**
+ * Count the docs in a single slice of a sliced scroll
+ *
+ * Count does not accept slices, so open the scroll as the worker would, read the total and clear it.
+ *
+ * @param job
+ * @returns {Promise.<TResult>}
+ */
+const countSlice = (job)=> {
+  return source.search(_.assign({
+    index:  job.index,
+    type:   job.type,
+    scroll: '1m',
+    size:   1,
+    body:   job.getSearchBody()
+  }, job.getSearchParams())).then((response)=> {
+    return source.clearScroll({scrollId: response._scroll_id}).then(()=> {
+      return parseInt(response.hits.total);
+    });
+  });
+};
+
 /**
  * Prepare backlog for use, removing completed jobs
  *
@@ -226,25 +1436,57 @@ const addCountToJobs = (jobs)=> {
  */
 const initialize = (indexNames, ignoreCompleted)=> {
   log.info('initializing job backlog..');
-  return clearBacklogJobs().then(()=> {
+  return registerRun().then(()=> {
+    return store.del(key(PLANNED_KEY));
+  }).then(()=> {
+    return clearBacklogJobs();
+  }).then(()=> {
+    return clearFailedJobs();
+  }).then(()=> {
     return prepareNewJobs(indexNames);
+  }).then((potentialJobs)=> {
+    return savePendingHighWaterMarks(potentialJobs).return(potentialJobs);
   }).then((potentialJobs)=> {
     if (ignoreCompleted) {
       return clearCompletedJobs().then(()=> {
+        return clearCheckpoints();
+      }).then(()=> {
         return potentialJobs;
       });
     } else {
-      return getCompletedJobs().then((completed)=> {
-        const completedJobs = _.map(completed, JSON.parse);
-
-        return _.filter(potentialJobs, (potentialJob)=> {
-          return !_.find(completedJobs, {index: potentialJob.index});
-        });
-      });
+      return removeCompletedJobs(potentialJobs);
     }
   }).then(addCountToJobs).then((jobs)=> {
     log.info('Adding jobs to queue');
     return Promise.each(jobs, queueJob);
+  }).then(markPlanned);
+};
+
+/**
+ * Resolve the jobs initialize would queue, with their counts, without changing anything in the store
+ *
+ * @param indexNames
+ * @returns {Promise.<TResult>}
+ */
+const planJobs = (indexNames)=> {
+  return prepareNewJobs(indexNames).then(removeCompletedJobs).then(addCountToJobs);
+};
+
+/**
+ * Filter out the jobs that were already completed
+ *
+ * @param potentialJobs
+ * @returns {Promise.<TResult>}
+ */
+const removeCompletedJobs = (potentialJobs)=> {
+  return getCompletedJobs().then((completed)=> {
+    const completedIDs = _.map(completed, (job)=> {
+      return job.getID();
+    });
+
+    return _.filter(potentialJobs, (potentialJob)=> {
+      return !_.includes(completedIDs, Job.createID(potentialJob));
+    });
   });
 };
 
@@ -284,20 +1526,160 @@ const prepareNewJobs = (indexNames)=> {
     //  type:  'type2'
     // }
     //
-    // Which is the final job format we want.
+    // Which is the final job format we want. If splitting by shard or slice, there is one of these per shard/slice.
     return _.reduce(sortedTarget, (result, target)=> {
+      const maxSlices = (slices === 'auto') ? target.shards : slices;
+
       _.map(target.types, (type)=> {
-        result.push({
-          index: target.index,
-          type:  type
-        });
+        if (maxSlices > 1) {
+          _.times(maxSlices, (id)=> {
+            result.push({
+              index: target.index,
+              type:  type,
+              slice: {
+                id:  id,
+                max: maxSlices
+              }
+            });
+          });
+        } else if (splitByShard && target.shards > 0) {
+          _.times(target.shards, (shard)=> {
+            result.push({
+              index: target.index,
+              type:  type,
+              shard: shard
+            });
+          });
+        } else {
+          result.push({
+            index: target.index,
+            type:  type
+          });
+        }
       });
 
       return result;
     }, []);
+  }).then(partitionJobs).then(addSinceToJobs).then(addQueryToJobs);
+};
+
+/**
+ * If a partition is configured, split every index/type job into range sub-jobs on the partition field
+ *
+ * @param jobs
+ * @returns {Promise.<TResult>}
+ */
+const partitionJobs = (jobs)=> {
+  if (!partition) {
+    return Promise.resolve(jobs);
+  }
+
+  log.info(`partitioning jobs on field: ${partition.field}`);
+
+  return Promise.mapSeries(jobs, (job)=> {
+    return getPartitionRanges(job).then((ranges)=> {
+      // Documents without the field would not fall in any range, so they get a partition of their own
+      ranges.push({
+        field:   partition.field,
+        missing: true
+      });
+
+      return _.map(ranges, (range)=> {
+        return _.assign({}, job, {range: range});
+      });
+    });
+  }).then(_.flatten);
+};
+
+/**
+ * Get the configured ranges of the partition field, or create them from the interval for the values of the index/type
+ *
+ * @param job
+ * @returns {Promise.<TResult>}
+ */
+const getPartitionRanges = (job)=> {
+  if (_.isArray(partition.ranges)) {
+    return Promise.resolve(_.map(partition.ranges, (range)=> {
+      return _.assign({field: partition.field}, range);
+    }));
+  }
+
+  return getFieldBounds(job.index, job.type, partition.field).then((bounds)=> {
+    return createRanges(bounds.min, bounds.max);
+  });
+};
+
+/**
+ * Get the lowest and highest value of a field in the index/type
+ *
+ * @param index
+ * @param type
+ * @param field
+ * @returns {Promise.<TResult>}
+ */
+const getFieldBounds = (index, type, field)=> {
+  return source.search({
+    index: index,
+    type:  type,
+    body:  {
+      size: 0,
+      aggs: {
+        min: {
+          min: {field: field}
+        },
+        max: {
+          max: {field: field}
+        }
+      }
+    }
+  }).then((response)=> {
+    return {
+      min: response.aggregations.min.value,
+      max: response.aggregations.max.value
+    };
   });
 };
 
+/**
+ * Split the range between min and max into consecutive ranges of the configured interval
+ *
+ * The last range has no upper bound, so docs written with higher values after the run was planned are still transferred.
+ *
+ * @param min
+ * @param max
+ * @returns {Array}
+ */
+const createRanges = (min, max)=> {
+  const ranges = [];
+
+  if (!_.isFinite(min) || !_.isFinite(max)) {
+    return ranges;
+  }
+
+  if (Math.ceil((max - min) / partition.interval) > MAX_PARTITIONS_PER_JOB) {
+    throw new Error(`partition interval would create more than ${MAX_PARTITIONS_PER_JOB} partitions for field: ${partition.field}`);
+  }
+
+  for (let start = min; start <= max; start += partition.interval) {
+    const end = start + partition.interval;
+
+    if (end > max) {
+      ranges.push({
+        field: partition.field,
+        gte:   start
+      });
+    } else {
+      ranges.push({
+        field: partition.field,
+        gte:   start,
+        lt:    end
+      });
+    }
+  }
+
+  return ranges;
+};
+
 /**
  * Filter indices and types based on provided filters
  *
@@ -332,8 +1714,9 @@ const filterIndicesAndTypes = (allIndices)=> {
 
     if (typeNames.length > 0) {
       result.push({
-        index: index.name,
-        types: typeNames
+        index:  index.name,
+        types:  typeNames,
+        shards: parseInt(_.get(index, 'settings.index.number_of_shards'))
       });
     }
 
@@ -379,6 +1762,167 @@ const setTypeFilter = (filter)=> {
   log.info('set type filter: ', filter);
 };
 
+/**
+ * Set the field and interval (or explicit ranges) used to split each index/type into sub-jobs.
+ *
+ * Interval is either a number for numeric fields, or a duration like '1d' or '12h' for date fields.
+ *
+ * @param params
+ */
+const setPartition = (params)=> {
+  if (!_.isObject(params) || !_.isString(params.field) || params.field.length === 0) {
+    throw new Error('partition must be an object with a field');
+  }
+
+  if (_.isArray(params.ranges)) {
+    if (params.ranges.length === 0) {
+      throw new Error('if provided, partition ranges must not be empty');
+    }
+
+    partition = {
+      field:  params.field,
+      ranges: params.ranges
+    };
+  } else {
+    partition = {
+      field:    params.field,
+      interval: parseInterval(params.interval)
+    };
+  }
+
+  log.info('set partition: ', params);
+};
+
+/**
+ * Enable or disable creating one job per primary shard of each index/type.
+ *
+ * Each of those jobs reads with preference _shards:N, which works on sources that do not support sliced scroll.
+ * Cannot be enabled along with slices.
+ *
+ * @param enabled
+ */
+const setSplitByShard = (enabled)=> {
+  if (enabled && slices) {
+    throw new Error('splitByShard and slices cannot be used together');
+  }
+
+  splitByShard = !!enabled;
+  log.info(`set split by shard: ${splitByShard}`);
+};
+
+/**
+ * Set the number of slices each index/type is read with using sliced scroll (ES 5+ sources only).
+ *
+ * 'auto' uses the number of primary shards of each index. Cannot be set along with splitByShard.
+ *
+ * @param count
+ */
+const setSlices = (count)=> {
+  if (count !== 'auto' && (!_.isInteger(count) || count < 1)) {
+    throw new Error(`slices: '${count}' must be an integer gte 1 or 'auto'`);
+  }
+
+  if (splitByShard) {
+    throw new Error('splitByShard and slices cannot be used together');
+  }
+
+  slices = count;
+  log.info(`set slices: ${slices}`);
+};
+
+/**
+ * Enable since mode, where each index/type only transfers docs with a value of a field (eg a modification timestamp)
+ * at or after the high-water mark recorded by the last complete run.
+ *
+ * Either a single field used for every index, or an object of index patterns to fields, eg {'logs-*': '@timestamp'}.
+ * The first pattern matching an index is used, and indices matching none are transferred in full.
+ *
+ * @param fields
+ */
+const setSince = (fields)=> {
+  if (utils.isNonZeroString(fields)) {
+    fields = {'*': fields};
+  }
+
+  if (!_.isPlainObject(fields) || _.isEmpty(fields) || !_.every(fields, utils.isNonZeroString)) {
+    throw new Error('since must be a field name, or an object of index patterns to field names');
+  }
+
+  since = fields;
+  log.info('set since: ', since);
+};
+
+/**
+ * Only transfer docs matching a query, used for every index without a query of its own (see setQueries), eg
+ * {term: {status: 'active'}}. Counts use the same query, so progress stays accurate.
+ *
+ * @param query
+ */
+const setQuery = (query)=> {
+  if (!_.isPlainObject(query) || _.isEmpty(query)) {
+    throw new Error('query must be a query object');
+  }
+
+  globalQuery = query;
+  log.info('set query: ', globalQuery);
+};
+
+/**
+ * Only transfer docs matching a query per index pattern, eg {'users-*': {term: {status: 'active'}}}.
+ *
+ * The first pattern matching an index is used. Indices matching none use the query set by setQuery if any, and are
+ * transferred in full otherwise.
+ *
+ * @param patterns
+ */
+const setQueries = (patterns)=> {
+  if (!_.isPlainObject(patterns) || _.isEmpty(patterns) || !_.every(patterns, (query)=> {
+    return _.isPlainObject(query) && !_.isEmpty(query);
+  })) {
+    throw new Error('queries must be an object of index patterns to query objects');
+  }
+
+  queries = patterns;
+  log.info('set queries: ', queries);
+};
+
+/**
+ * Set how many times a job is attempted before it is marked as failed instead of requeued
+ *
+ * @param attempts
+ */
+const setMaxAttempts = (attempts)=> {
+  if (!_.isInteger(attempts) || attempts < 1) {
+    throw new Error(`maxAttempts: '${attempts}' must be an integer gte 1`);
+  }
+
+  maxAttempts = attempts;
+  log.info(`set max attempts: ${maxAttempts}`);
+};
+
+/**
+ * Convert a numeric interval, or a duration string like '1d', into a number
+ *
+ * @param interval
+ * @returns {Number}
+ */
+const parseInterval = (interval)=> {
+  let parsed = null;
+
+  if (_.isNumber(interval)) {
+    parsed = interval;
+  } else if (_.isString(interval) && INTERVAL_REGEX.test(interval)) {
+    const match = interval.match(INTERVAL_REGEX);
+    parsed      = moment.duration(parseInt(match[1]), match[2]).asMilliseconds();
+  }
+
+  if (!_.isFinite(parsed) || parsed <= 0) {
+    throw new Error(`partition interval: '${interval}' must be a number gt 0 or a duration like '1d'`);
+  }
+
+  return parsed;
+};
+
 /**
  * Returns an array of the indices found using the elasticsearch multi-index definition.
  *
@@ -0,0 +1,177 @@
+const _      = require('lodash');
+const config = require('../config');
+const log    = config.log;
+
+// Versions mappings can be upgraded to
+const UPGRADE_TARGETS = [
+  '5.x',
+  '6.x'
+];
+
+// Meta fields of a type mapping that no longer exist from 5.x on
+const REMOVED_META_FIELDS = [
+  '_all',
+  '_timestamp',
+  '_ttl'
+];
+
+// Field parameters that only took 'yes' or 'no' before 5.x, and booleans since
+const BOOLEAN_PARAMETERS = [
+  'store',
+  'doc_values',
+  'include_in_all'
+];
+
+// Field parameters that are not accepted by keyword fields
+const TEXT_ONLY_PARAMETERS = [
+  'analyzer',
+  'search_analyzer',
+  'search_quote_analyzer',
+  'position_increment_gap',
+  'term_vector'
+];
+
+/**
+ * Create the index and template mutators upgrading mappings to the target version, eg '5.x'
+ *
+ * Every change they make is logged, with the name of the index or template.
+ *
+ * @param target
+ * @returns {Array}
+ */
+const createMutators = (target)=> {
+  if (!_.includes(UPGRADE_TARGETS, target)) {
+    throw new Error(`upgradeMappings: '${target}' must be one of: ${_.join(UPGRADE_TARGETS, ', ')}`);
+  }
+
+  return _.map(['index', 'template'], (type)=> {
+    return {
+      type:      type,
+      predicate: (configuration)=> {
+        return _.isPlainObject(configuration.mappings);
+      },
+      mutate:    (configuration)=> {
+        const changes = upgradeMappings(configuration.mappings, target);
+
+        _.forEach(changes, (change)=> {
+          log.info(`upgrading mappings to ${target}, ${type}: ${configuration.name} ${change}`);
+        });
+
+        return configuration;
+      }
+    };
+  });
+};
+
+/**
+ * Upgrade the mappings of every type in place, and return a description of each change, eg 'type1.name: string to text'
+ *
+ * @param mappings
+ * @param target
+ * @returns {Array}
+ */
+const upgradeMappings = (mappings, target)=> {
+  const changes = [];
+
+  _.forEach(mappings, (mapping, type)=> {
+    _.forEach(REMOVED_META_FIELDS, (metaField)=> {
+      if (_.has(mapping, metaField)) {
+        delete mapping[metaField];
+        changes.push(`${type}: removed ${metaField}`);
+      }
+    });
+
+    if (target === '6.x' && _.has(mapping, 'include_in_all')) {
+      delete mapping.include_in_all;
+      changes.push(`${type}: removed include_in_all`);
+    }
+
+    _.forEach(mapping.dynamic_templates, (dynamicTemplate)=> {
+      _.forEach(dynamicTemplate, (definition, name)=> {
+        if (_.isPlainObject(definition.mapping)) {
+          upgradeField(definition.mapping, `${type} dynamic template ${name}`, target, changes);
+        }
+      });
+    });
+
+    upgradeProperties(mapping.properties, type, target, changes);
+  });
+
+  return changes;
+};
+
+/**
+ * Upgrade each field of properties, and the fields within them
+ *
+ * @param properties
+ * @param parentPath
+ * @param target
+ * @param changes
+ */
+const upgradeProperties = (properties, parentPath, target, changes)=> {
+  _.forEach(properties, (field, name)=> {
+    upgradeField(field, `${parentPath}.${name}`, target, changes);
+  });
+};
+
+/**
+ * Upgrade a single field mapping in place, then its object properties and multi-fields
+ *
+ * @param field
+ * @param fieldPath
+ * @param target
+ * @param changes
+ */
+const upgradeField = (field, fieldPath, target, changes)=> {
+  if (field.type === 'string') {
+    const notAnalyzed = field.index === 'not_analyzed' || field.index === 'no';
+
+    field.type = notAnalyzed ? 'keyword' : 'text';
+
+    if (field.type === 'keyword') {
+      _.forEach(TEXT_ONLY_PARAMETERS, (parameter)=> {
+        if (_.has(field, parameter)) {
+          delete field[parameter];
+          changes.push(`${fieldPath}: removed ${parameter}, not accepted by keyword`);
+        }
+      });
+    }
+
+    changes.push(`${fieldPath}: string${field.index ? ` (${field.index})` : ''} to ${field.type}`);
+  }
+
+  if (field.index === 'no') {
+    field.index = false;
+    changes.push(`${fieldPath}: index 'no' to false`);
+  } else if (field.index === 'analyzed' || field.index === 'not_analyzed') {
+    changes.push(`${fieldPath}: removed index '${field.index}'`);
+    delete field.index;
+  }
+
+  if (_.isPlainObject(field.norms) && _.has(field.norms, 'enabled')) {
+    field.norms = field.norms.enabled === true || field.norms.enabled === 'true';
+    changes.push(`${fieldPath}: norms to ${field.norms}`);
+  }
+
+  _.forEach(BOOLEAN_PARAMETERS, (parameter)=> {
+    if (field[parameter] === 'yes' || field[parameter] === 'no') {
+      changes.push(`${fieldPath}: ${parameter} '${field[parameter]}' to ${field[parameter] === 'yes'}`);
+      field[parameter] = field[parameter] === 'yes';
+    }
+  });
+
+  // include_in_all is deprecated from 6.x on, along with _all
+  if (target === '6.x' && _.has(field, 'include_in_all')) {
+    delete field.include_in_all;
+    changes.push(`${fieldPath}: removed include_in_all`);
+  }
+
+  upgradeProperties(field.properties, fieldPath, target, changes);
+  upgradeProperties(field.fields, fieldPath, target, changes);
+};
+
+module.exports = {
+  UPGRADE_TARGETS: UPGRADE_TARGETS,
+  createMutators:  createMutators,
+  upgradeMappings: upgradeMappings
+};
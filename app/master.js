@@ -7,8 +7,12 @@ const Promise = require('bluebird');
 const utils             = require('../config/utils');
 const Transfer          = require('./transfer');
 const Manager           = require('./manager');
+const mappingUpgrade    = require('./mappingUpgrade');
+const autoscaler        = require('./autoscaler');
+const rateLimiter       = require('./rateLimiter');
+const deadLetter        = require('./deadLetter');
 const createEsClient    = require('../config/elasticsearch.js');
-const createRedisClient = require('../config/redis');
+const createStore       = require('../config/store');
 const config            = require('../config');
 const log               = config.log;
 
@@ -16,11 +20,47 @@ let source = null;
 let dest   = null;
 
 let transfer          = null;
+let store             = null;
 let manager           = null;
 const workers         = [];
 const workerProgress  = {};
 let completedCallback = null;
 
+// How often expired leases on in progress jobs are checked
+const LEASE_CHECK_INTERVAL = 15 * 1000;
+
+// In sync mode, how long to wait between checking whether a round is done and planning the next one, in seconds
+const DEFAULT_SYNC_INTERVAL = 30;
+
+// Set once sync mode should stop after the current round: 'signal' or 'cutover'
+let syncStopReason = null;
+
+// How often this node renews its heartbeat and checks the coordinator is alive
+const NODE_HEARTBEAT_INTERVAL = 10 * 1000;
+let heartbeatInterval         = null;
+
+// How long a joining node waits between checks whether the run is planned
+const PLAN_WAIT = 5 * 1000;
+
+// Docs of each index/type run through the data mutators and printed in a dry run
+const DRY_RUN_SAMPLE_SIZE = 3;
+
+// How often the number of active workers is adjusted, when autoscaling
+const AUTOSCALE_INTERVAL = 30 * 1000;
+
+// Autoscale settings, if enabled, the number of workers of this node that are active, and when that was last adjusted
+let autoscaleSettings = null;
+let activeWorkers     = 0;
+let lastAutoscaleTime = 0;
+
+// Paces the workers of this node to its share of the rate limits of the run
+const limiter = new rateLimiter.RateLimiter();
+
+// Where the workers set aside docs the destination failed for good, if they do
+let deadLetters = null;
+
+let isCoordinator = false;
+
 let startTime = null;
 let totalJobs = 0;
 let masterPid = null;
@@ -30,29 +70,42 @@ let masterPid = null;
  *
  * @param sourceConfig
  * @param destConfig
- * @param redisConfig
+ * @param storeConfig
+ * @param runId
  * @constructor
  */
-const Master = function (sourceConfig, destConfig, redisConfig) {
+const Master = function (sourceConfig, destConfig, storeConfig, runId) {
   const self = this;
 
   self.source = createEsClient(sourceConfig.host, sourceConfig.apiVersion);
   source      = self.source;
-  self.dest   = createEsClient(destConfig.host, sourceConfig.apiVersion);
+  self.dest   = createEsClient(destConfig.host, destConfig.apiVersion);
   dest        = self.dest;
   transfer    = new Transfer(source, dest);
-  manager     = new Manager(source, createRedisClient(redisConfig.hostname, redisConfig.port));
+  store       = createStore(storeConfig);
+  manager     = new Manager(source, store, runId);
+
+  transfer.setApiVersions(sourceConfig.apiVersion, destConfig.apiVersion);
 
   self.setCompletedCallback = (callback)=> {
     completedCallback = callback;
   };
 
+  self.getLag = manager.getLag;
+
+  self.pause  = manager.pause;
+  self.resume = manager.resume;
+  self.cancel = manager.cancel;
+
   self.start = start;
 };
 
 /**
  * Copy index configurations and templates as needed, then start workers to copy data
  *
+ * If join is set, nothing is copied or planned. This node waits for the coordinator of the run to plan it, then starts
+ * workers pulling from the same backlog.
+ *
  * @param params
  * @returns {Promise.<TResult>}
  */
@@ -61,36 +114,312 @@ const start = (params)=> {
 
   masterPid = process.pid;
 
+  // Built in mappings upgrades run first, so user mutators see the upgraded mappings
+  if (params.upgradeMappings) {
+    _.forEach(mappingUpgrade.createMutators(params.upgradeMappings), transfer.addMutator);
+  }
+
   if (utils.isNonZeroString(params.mutators)) {
     transfer.loadMutators(params.mutators);
   }
 
-  return ifStringProvided(params.indices, transfer.transferIndices).then(()=> {
-    return ifStringProvided(params.templates, transfer.transferTemplates);
-  }).then(()=> {
-    return ifStringProvided(params.indexFilter, manager.setIndexFilter);
-  }).then(()=> {
+  transfer.setDryRun(params.dryRun);
+
+  // Only used by the workers, but checked here so a bad configuration fails before they start
+  transfer.setSizes(params.sizes);
+
+  if (params.autoscale) {
+    autoscaleSettings = autoscaler.getSettings(params.autoscale);
+  }
+
+  rateLimiter.validateLimits(params.rateLimits);
+
+  if (params.deadLetter) {
+    deadLetters = new deadLetter.DeadLetter(deadLetter.getSettings(params.deadLetter), manager);
+  }
+
+  if (params.indexConflict) {
+    transfer.setIndexConflict(params.indexConflict);
+  }
+
+  if (params.templateConflict) {
+    transfer.setTemplateConflict(params.templateConflict);
+  }
+
+  return configureManager(params).then(()=> {
+    if (params.dryRun) {
+      return dryRun(params).then(()=> {
+        log.info('===========================');
+        log.info('Dry run complete!');
+        log.info('===========================');
+        process.exit();
+      });
+    }
+
+    if (!utils.isNonZeroString(params.data)) {
+      return transferConfigurations(params).then(()=> {
+        log.info('===========================');
+        log.info('Complete!');
+        log.info('===========================');
+        process.exit();
+      });
+    }
+
+    return startNode(params).then(()=> {
+      return manager.getBacklogCount();
+    }).then((backlogCount)=> {
+      totalJobs += backlogCount;
+      return manager.getCompletedCount();
+    }).then((completedCount)=> {
+      totalJobs += completedCount;
+      return startWorkers(params);
+    });
+  });
+};
+
+/**
+ * Pass the filters and job options on to the manager
+ *
+ * @param params
+ * @returns {Promise.<TResult>}
+ */
+const configureManager = (params)=> {
+  return ifStringProvided(params.indexFilter, manager.setIndexFilter).then(()=> {
     return ifStringProvided(params.indexComparator, manager.setIndexComparator);
   }).then(()=> {
     return ifStringProvided(params.typeFilter, manager.setTypeFilter);
   }).then(()=> {
-    return ifStringProvided(params.data, manager.initialize);
+    if (params.partition) {
+      manager.setPartition(params.partition);
+    }
+
+    manager.setSplitByShard(params.splitByShard);
+
+    if (params.slices) {
+      manager.setSlices(params.slices);
+    }
+
+    if (params.since) {
+      manager.setSince(params.since);
+    }
+
+    if (params.query) {
+      manager.setQuery(params.query);
+    }
+
+    if (params.queries) {
+      manager.setQueries(params.queries);
+    }
+  });
+};
+
+/**
+ * Copy index configurations and templates
+ *
+ * @param params
+ * @returns {Promise.<TResult>}
+ */
+const transferConfigurations = (params)=> {
+  return ifStringProvided(params.indices, transfer.transferIndices).then((summaries)=> {
+    printPutSummaries('Index', summaries);
+    return ifStringProvided(params.templates, transfer.transferTemplates);
+  }).then((summaries)=> {
+    printPutSummaries('Template', summaries);
+  });
+};
+
+/**
+ * Print what was done to each index or template put in the destination, and the changes it rejected
+ *
+ * @param kind
+ * @param summaries
+ */
+const printPutSummaries = (kind, summaries)=> {
+  if (_.isEmpty(summaries)) {
+    return;
+  }
+
+  _.forEach(summaries, (summary)=> {
+    log.info(`${kind}: ${summary.name} ${summary.action}`);
+    _.forEach(summary.rejected, (rejection)=> {
+      log.warn(`${kind}: ${summary.name} rejected ${rejection.part}: ${rejection.error}`);
+    });
+  });
+
+  const counts = _.map(_.countBy(summaries, 'action'), (count, action)=> {
+    return `${count} ${action}`;
+  });
+  log.info(`${kind} summary: ${_.join(counts, ', ')}`);
+};
+
+/**
+ * Print what a run would do, without writing to the destination or the store
+ *
+ * Index configurations and templates are fetched and mutated, the jobs are planned and counted, and a few docs of each
+ * index/type are run through the data mutators.
+ *
+ * @param params
+ * @returns {Promise.<TResult>}
+ */
+const dryRun = (params)=> {
+  return transferConfigurations(params).then(()=> {
+    if (!utils.isNonZeroString(params.data)) {
+      return;
+    }
+
+    return manager.planJobs(params.data).then((jobs)=> {
+      log.info(`dry run, would queue ${jobs.length} jobs of ${_.sumBy(jobs, 'count')} docs:`);
+      _.forEach(jobs, (job)=> {
+        log.info(`Job: ${describeJob(job)} Count: ${job.count}`);
+      });
+
+      const targets = _.uniqBy(jobs, (job)=> {
+        return `${job.index}/${job.type}`;
+      });
+
+      return Promise.each(targets, (job)=> {
+        return transfer.previewData(job.index, job.type, DRY_RUN_SAMPLE_SIZE, job.getQueryBody()).then((previews)=> {
+          _.forEach(previews, (preview)=> {
+            log.info(`dry run, doc of ${job.index}/${job.type} before mutators:`, JSON.stringify(preview.before, null, 2));
+            log.info(`dry run, doc of ${job.index}/${job.type} after mutators:`, JSON.stringify(preview.after, null, 2));
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Plan the backlog of the run
+ *
+ * @param params
+ * @returns {Promise.<TResult>}
+ */
+const planRun = (params)=> {
+  return manager.initialize(params.data).then(()=> {
+    if (params.sync) {
+      return manager.resetSync();
+    }
+  });
+};
+
+/**
+ * Register this node in the run, and keep its heartbeat going.
+ *
+ * A new run is started by its coordinator, which copies configurations and plans the backlog. Joining nodes wait for it
+ * to be planned instead.
+ *
+ * @param params
+ * @returns {Promise.<TResult>}
+ */
+const startNode = (params)=> {
+  return heartbeat().then(()=> {
+    if (params.join) {
+      log.info(`node: ${manager.nodeId} joining run`);
+      return;
+    }
+
+    if (!isCoordinator) {
+      return manager.getCoordinator().then((coordinator)=> {
+        throw new Error(`run is already coordinated by node: ${coordinator.owner}, set join to add this node to it`);
+      });
+    }
   }).then(()=> {
-    if (utils.isNonZeroString(params.data)) {
-      return manager.getBacklogCount().then((backlogCount)=> {
-        totalJobs += backlogCount;
-        return manager.getCompletedCount();
-      }).then((completedCount)=> {
-        totalJobs += completedCount;
-        return startWorkers(params);
+    heartbeatInterval = setInterval(()=> {
+      heartbeat().catch((error)=> {
+        log.error('Error during node heartbeat: ', error);
       });
-    } else {
-      log.info('===========================');
-      log.info('Complete!');
-      log.info('===========================');
-      process.exit();
+    }, NODE_HEARTBEAT_INTERVAL);
+
+    if (params.join) {
+      return waitForPlan(params);
+    }
+
+    // A file store has no other node, so it is compacted as this one starts the run
+    if (_.isFunction(store.compact)) {
+      store.compact();
+    }
+
+    // A new start of the run clears any earlier pause or cancel, and any rate limits set since it was last started
+    return manager.resume().then(()=> {
+      return manager.setRateLimits(params.rateLimits);
+    }).then(updateRateLimits).then(()=> {
+      return transferConfigurations(params);
+    }).then(()=> {
+      return planRun(params);
+    });
+  }).catch((error)=> {
+    // Nothing else keeps a node that failed to start alive, so its heartbeat must not either
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
+    throw error;
+  });
+};
+
+/**
+ * Renew the heartbeat of this node along with the progress of its workers, and check who coordinates the run.
+ *
+ * The coordinator also removes nodes that stopped responding.
+ *
+ * @returns {Promise.<TResult>}
+ */
+const heartbeat = ()=> {
+  return manager.registerNode({
+    workers:  workers.length,
+    progress: workerProgress
+  }).then(manager.electCoordinator).then((coordinator)=> {
+    if (coordinator !== isCoordinator) {
+      log.info(`node: ${manager.nodeId} ${coordinator ? 'is' : 'is no longer'} coordinating the run`);
+    }
+
+    isCoordinator = coordinator;
+
+    if (isCoordinator) {
+      return manager.removeDeadNodes();
+    }
+  }).then(updateRateLimits);
+};
+
+/**
+ * Keep the workers of this node to its share of the rate limits of the run, split evenly between the nodes alive
+ *
+ * @returns {Promise.<TResult>}
+ */
+const updateRateLimits = ()=> {
+  return Promise.join(manager.getRateLimits(), manager.getNodes(), (limits, nodes)=> {
+    const alive = Math.max(1, _.filter(nodes, 'alive').length);
+    const share = _.mapValues(limits, (limit)=> {
+      return limit / alive;
+    });
+
+    if (!_.isEqual(share, limiter.getLimits())) {
+      log.info(`rate limits of this node: ${rateLimiter.describeLimits(share)}`);
+      limiter.setLimits(share);
+    }
+  });
+};
+
+/**
+ * Wait for the coordinator to plan the run. If it left before doing so and this node took over, plan it here.
+ *
+ * @param params
+ * @returns {Promise.<TResult>}
+ */
+const waitForPlan = (params)=> {
+  return manager.isPlanned().then((planned)=> {
+    if (planned) {
       return Promise.resolve();
     }
+
+    if (isCoordinator) {
+      log.info('the previous coordinator left before planning the run, planning it here');
+      return planRun(params);
+    }
+
+    log.info('waiting for the coordinator to plan the run');
+    return Promise.delay(PLAN_WAIT).then(()=> {
+      return waitForPlan(params);
+    });
   });
 };
 
@@ -112,6 +441,14 @@ const validate = (params)=> {
     throw new Error('if provided, data must be an index name or multi-index query of the data to be transferred');
   }
 
+  if (params.sync && (!params.since || !utils.isNonZeroString(params.data))) {
+    throw new Error('sync mode requires since and data to be provided');
+  }
+
+  if (params.join && !utils.isNonZeroString(params.data)) {
+    throw new Error('joining a run requires data to be provided');
+  }
+
   params.concurrency = parseInt(params.concurrency);
 
   if (!_.isNumber(params.concurrency) || _.isNaN(params.concurrency) || params.concurrency < 1) {
@@ -149,11 +486,23 @@ const startWorkers = (params)=> {
     exited++;
     if (exited >= numWorkers) {
       if (completedCallback) completedCallback();
-      log.info('===========================');
-      log.info('Complete!');
-      log.info('===========================');
-      printProgress();
-      process.exit();
+
+      manager.getControlState().then((state)=> {
+        log.info('===========================');
+        log.info((state === 'cancelled') ? 'Cancelled!' : 'Complete!');
+        log.info('===========================');
+        return printProgress();
+      }).then(printDeadLetters).then(()=> {
+        // Failures are reported, and the run wrapped up, by the coordinator only
+        return isCoordinator ? finishRun(params) : 0;
+      }).then((failedCount)=> {
+        return manager.deregisterNode().return(failedCount);
+      }).then((failedCount)=> {
+        process.exit((failedCount > 0) ? 1 : 0);
+      }).catch((error)=> {
+        log.error('Error while finishing the run: ', error);
+        process.exit(1);
+      });
     }
   });
 
@@ -161,7 +510,19 @@ const startWorkers = (params)=> {
     const worker = cluster.fork({WORKER_CONFIG: JSON.stringify(params)});
 
     worker.on('message', (message)=> {
-      if (message.message) {
+      if (message.fileStore) {
+        // Requests to the file store are answered by the store itself
+        return;
+      } else if (message.rateLimit) {
+        limiter.acquire(message.docs, message.bytes).then(()=> {
+          if (worker.isConnected()) {
+            worker.send({
+              rateLimit: true,
+              id:        message.id
+            });
+          }
+        });
+      } else if (message.message) {
         log.info(`Worker ${message.pid}: [${message.level}] : ${message.message}`);
       } else {
         updateWorkerProgress(message, message.pid);
@@ -173,13 +534,230 @@ const startWorkers = (params)=> {
 
   startTime        = moment();
   setInterval(printProgress, 10 * 1000);
+  setInterval(requeueExpiredJobs, LEASE_CHECK_INTERVAL);
+
+  if (autoscaleSettings) {
+    activeWorkers     = numWorkers;
+    lastAutoscaleTime = Date.now();
+    setInterval(autoscaleWorkers, AUTOSCALE_INTERVAL);
+  }
+
+  if (params.sync) {
+    process.on('SIGINT', stopSync);
+    process.on('SIGTERM', stopSync);
+    scheduleSyncRound(params);
+  }
+};
+
+/**
+ * Print the reconciliation and failed jobs, and record the high-water marks if nothing was left behind. Resolves the number of failed jobs.
+ *
+ * @param params
+ * @returns {Promise.<TResult>}
+ */
+const finishRun = (params)=> {
+  return printReconciliation().then(printFailedJobs).then((failedCount)=> {
+    if (failedCount > 0 || !params.since) {
+      return failedCount;
+    }
+
+    // The next since run starts where this one ended, only if nothing was left behind, eg by a cancel
+    return Promise.join(manager.getBacklogJobs(), manager.getInProgressCount(), (backlog, inProgress)=> {
+      if (backlog.length > 0 || inProgress > 0) {
+        log.warn('run did not complete, high-water marks are left where they were');
+        return failedCount;
+      }
+
+      return manager.commitHighWaterMarks().return(failedCount);
+    });
+  });
+};
+
+/**
+ * Print how many docs the workers of this node dead-lettered, and where to find them, if dead-lettering
+ *
+ * Counted from their progress, as a file may also hold the docs of earlier runs, or of other nodes.
+ */
+const printDeadLetters = ()=> {
+  if (!deadLetters) {
+    return;
+  }
+
+  const count = _.sumBy(_.values(workerProgress), (status)=> {
+    return status.deadLettered || 0;
+  });
+
+  if (count > 0) {
+    log.warn(`Dead-lettered docs: ${count}, in ${deadLetters.describe()}`);
+  }
+};
+
+/**
+ * Stop sync mode once the jobs of the current round are done. A second signal exits right away.
+ *
+ * On a node that is not the coordinator, only the workers of this node stop.
+ */
+const stopSync = ()=> {
+  if (syncStopReason) {
+    log.warn('exiting without waiting for jobs in progress');
+    process.exit(1);
+  }
+
+  log.info('stopping sync once the jobs in progress are done, signal again to exit now');
+  syncStopReason = 'signal';
+
+  if (!isCoordinator) {
+    _.forEach(workers, (worker)=> {
+      worker.send({stopSync: true});
+    });
+  }
+};
+
+/**
+ * Check whether the current sync round is done after the sync interval, and keep doing so until sync mode stops
+ *
+ * @param params
+ */
+const scheduleSyncRound = (params)=> {
+  const interval = (params.syncInterval || DEFAULT_SYNC_INTERVAL) * 1000;
+
+  setTimeout(()=> {
+    syncRound(params).catch((error)=> {
+      log.error('Error during sync round: ', error);
+      return true;
+    }).then((continueSync)=> {
+      if (continueSync) {
+        scheduleSyncRound(params);
+      }
+    });
+  }, interval);
+};
+
+/**
+ * Once every job of the current round is done, record how far the destination got, then either plan a round with the
+ * docs written since, or tell the workers of every node to finish. Only done by the coordinator.
+ *
+ * A cutover request plans one last round, to pick up what was written before writes to the source were stopped.
+ *
+ * Resolves false once the workers were told to finish.
+ *
+ * @param params
+ * @returns {Promise.<TResult>}
+ */
+const syncRound = (params)=> {
+  if (!isCoordinator) {
+    return Promise.resolve(true);
+  }
+
+  return Promise.join(manager.getBacklogJobs(), manager.getInProgressCount(), (backlog, inProgress)=> {
+    if (backlog.length > 0 || inProgress > 0) {
+      return true;
+    }
+
+    return manager.getFailedCount().then((failedCount)=> {
+      // Failed docs are planned again by the next round, as long as the high-water marks stay where they were
+      if (failedCount > 0) {
+        log.warn(`${failedCount} docs failed during the last sync round, they will be retried`);
+        return 0;
+      }
+
+      return manager.commitHighWaterMarks();
+    }).then(()=> {
+      if (syncStopReason) {
+        log.info(`sync stopped by ${syncStopReason}`);
+        return manager.stopSync().return(false);
+      }
+
+      return manager.isCutoverRequested().then((cutover)=> {
+        if (cutover) {
+          log.info('cutover requested, transferring the last docs');
+          syncStopReason = 'cutover';
+        }
+
+        return planSyncRound(params);
+      }).return(true);
+    });
+  });
+};
+
+/**
+ * Plan jobs for every doc written since the high-water marks, from scratch, and reset progress to them
+ *
+ * @param params
+ * @returns {Promise.<TResult>}
+ */
+const planSyncRound = (params)=> {
+  return manager.initialize(params.data, true).then(()=> {
+    return manager.getBacklogCount();
+  }).then((backlogCount)=> {
+    log.info(`planned sync round of ${backlogCount} docs`);
+    totalJobs = backlogCount;
+  });
+};
+
+/**
+ * Adjust how many workers of this node are active, from the statuses the active ones reported since the last time.
+ * Those beyond are put on standby once their job is done.
+ *
+ * Once the backlog is empty every worker is made active again, so each of them can finish.
+ */
+const autoscaleWorkers = ()=> {
+  manager.getBacklogCount().then((backlogCount)=> {
+    const statuses = _.filter(_.map(_.take(workers, activeWorkers), (worker)=> {
+      return _.get(workerProgress, [worker.process.pid, 'autoscale']);
+    }), (status)=> {
+      return status && status.at > lastAutoscaleTime;
+    });
+
+    const active = (backlogCount === 0) ? workers.length :
+      autoscaler.getActiveWorkers(activeWorkers, statuses, autoscaleSettings, workers.length);
+
+    if (active !== activeWorkers) {
+      log.info(`autoscaling from ${activeWorkers} to ${active} active workers`);
+    }
+
+    activeWorkers     = active;
+    lastAutoscaleTime = Date.now();
+
+    _.forEach(workers, (worker, i)=> {
+      if (worker.isConnected()) {
+        worker.send({standby: i >= activeWorkers});
+      }
+    });
+  }).catch((error)=> {
+    log.error('Error while autoscaling workers: ', error);
+  });
+};
+
+/**
+ * Put jobs of workers that died, here or on another host, back in the queue
+ */
+const requeueExpiredJobs = ()=> {
+  manager.requeueExpiredJobs().then((requeued)=> {
+    if (requeued > 0) {
+      log.warn(`requeued ${requeued} jobs with expired leases`);
+    }
+  }).catch((error)=> {
+    log.error('Error while requeueing expired jobs: ', error);
+  });
 };
 
 /**
  * Print a summary of the current state
+ *
+ * The coordinator includes the workers of every node in the run, other nodes only their own.
  */
 const printProgress = ()=> {
-  manager.getCompletedCount().then((completedCount)=> {
+  return Promise.props({
+    completedCount: manager.getCompletedCount(),
+    failedCount:    manager.getFailedCount(),
+    nodes:          manager.getNodes(),
+    coordinator:    manager.getCoordinator(),
+    controlState:   manager.getControlState()
+  }).then((summary)=> {
+    const completedCount = summary.completedCount;
+    const failedCount    = summary.failedCount;
+    const nodes          = summary.nodes;
 
     const overallProgress = (completedCount / totalJobs) * 100;
 
@@ -193,22 +771,162 @@ const printProgress = ()=> {
     log.info('-');
     log.info('**********************************');
     log.info('Worker Status:');
-    _.forEach(workerProgress, (status, id)=> {
-      const progress = (status.transferred / status.total) * 100;
-      log.info(`Worker: ${id} Progress: ${progress.toFixed(2)}% Job: ${status.job.index}/${status.job.type}`);
-    });
+    printWorkers(workerProgress);
+
+    if (isCoordinator) {
+      _.forEach(_.reject(nodes, {id: manager.nodeId}), (node)=> {
+        log.info(`Node: ${node.id}${node.alive ? '' : ' (not responding)'}`);
+        printWorkers(node.progress);
+      });
+    }
+
     log.info('----------------------------------');
     log.info('Overall Status:');
     log.info(`Master:           ${masterPid}`);
+    log.info(`Nodes:            ${nodes.length}`);
+    log.info(`Coordinator:      ${summary.coordinator.owner}`);
+    log.info(`State:            ${summary.controlState}`);
+
+    if (autoscaleSettings) {
+      log.info(`Active Workers:   ${activeWorkers} of ${workers.length}`);
+    }
+
+    log.info(`Rate Limits:      ${rateLimiter.describeLimits(limiter.getLimits())}`);
+
     log.info(`Total Docs:       ${totalJobs}`);
     log.info(`Transferred Docs: ${completedCount}`);
+    log.info(`Failed Docs:      ${failedCount}`);
     log.info(`Progress:         ${overallProgress.toFixed(2)}%`);
     log.info(`Started:          ${startTime.format('MMM D HH:mm:ss')}`);
     log.info(`Elapsed:          ${elapsedDuration.format("d[d] h:mm:ss")}`);
     const completionDate = projectedTime.isValid() ? projectedTime.format('MMM D HH:mm:ss') : 'unknown';
     log.info(`Estimated Completion: ${completionDate}`);
+
+    if (syncStopReason) {
+      log.info(`Sync:             stopping (${syncStopReason})`);
+    }
+
     log.info('**********************************');
     log.info('-');
+  }).then(()=> {
+    if (isCoordinator) {
+      return printLag();
+    }
+  });
+};
+
+/**
+ * Print the progress of each worker of a node
+ *
+ * @param progressByWorker
+ */
+const printWorkers = (progressByWorker)=> {
+  _.forEach(progressByWorker, (status, id)=> {
+    const progress = (status.transferred / status.total) * 100;
+    const deadLettered = status.deadLettered ? ` Dead-lettered: ${status.deadLettered}` : '';
+
+    log.info(`Worker: ${id} Progress: ${progress.toFixed(2)}% Job: ${describeJob(status.job)}` +
+      `${describeAutoscale(status.autoscale)}${deadLettered}`);
+  });
+};
+
+/**
+ * Short human readable description of the sizes a worker autoscaled to, and why, if it autoscales
+ *
+ * @param status
+ * @returns {string}
+ */
+const describeAutoscale = (status)=> {
+  if (!status) {
+    return '';
+  }
+
+  const pressure = status.pressure ? ` (${status.pressure} pressure)` : '';
+  return ` Bulk: ${status.bulkActions} In Flight: ${status.bulkConcurrency}${pressure}`;
+};
+
+/**
+ * Print how far behind the source each index/type is, if in since mode
+ *
+ * @returns {Promise.<TResult>}
+ */
+const printLag = ()=> {
+  return manager.getLag().then((lags)=> {
+    if (lags.length === 0) {
+      return;
+    }
+
+    log.info('Lag:');
+    _.forEach(lags, (lag)=> {
+      const behind = _.isNull(lag.lag) ? 'first run in progress' : lag.lag;
+      log.info(`${lag.index}/${lag.type} ${lag.field}: newest ${lag.newest} transferred ${lag.transferred} lag ${behind}`);
+    });
+    log.info('-');
+  });
+};
+
+/**
+ * Print a table of the source and destination counts of every completed job, then how many of them matched
+ *
+ * @returns {Promise.<TResult>}
+ */
+const printReconciliation = ()=> {
+  return manager.getReconciliation().then((jobs)=> {
+    if (jobs.length === 0) {
+      return;
+    }
+
+    const rows = _.map(_.sortBy(jobs, describeJob), (job)=> {
+      return [describeJob(job), describeReconciliation(job.reconciliation)];
+    });
+    const width = _.max(_.map(rows, (row)=> {
+      return row[0].length;
+    }));
+
+    log.info('Reconciliation:');
+    _.forEach(rows, (row)=> {
+      log.info(`${_.padEnd(row[0], width)}  ${row[1]}`);
+    });
+
+    const statuses = _.countBy(jobs, (job)=> {
+      return job.reconciliation.status;
+    });
+    log.info(`Verified: ${statuses.verified || 0} Mismatch: ${statuses.mismatch || 0} Unverifiable: ${statuses.unverifiable || 0}`);
+    log.info('-');
+  });
+};
+
+/**
+ * Short human readable result of reconciling a job, eg 'mismatch (src 10, dest 9)'
+ *
+ * @param reconciliation
+ * @returns {string}
+ */
+const describeReconciliation = (reconciliation)=> {
+  if (reconciliation.status === 'mismatch') {
+    return `mismatch (src ${reconciliation.source}, dest ${reconciliation.dest})`;
+  } else if (reconciliation.status === 'unverifiable' && reconciliation.reason) {
+    return `unverifiable (${reconciliation.reason})`;
+  }
+
+  return reconciliation.status;
+};
+
+/**
+ * Print every job that failed too many times, and resolve how many there are
+ *
+ * @returns {Promise.<TResult>}
+ */
+const printFailedJobs = ()=> {
+  return manager.getFailedJobs().then((failedJobs)=> {
+    if (failedJobs.length > 0) {
+      log.error(`${failedJobs.length} jobs failed:`);
+      _.forEach(failedJobs, (job)=> {
+        log.error(`Job: ${describeJob(job)} Attempts: ${job.attempts} Last error at ${job.lastErrorAt}: ${job.lastError}`);
+      });
+    }
+
+    return failedJobs.length;
   });
 };
 
@@ -216,8 +934,40 @@ const updateWorkerProgress = (status, workerId)=> {
   workerProgress[workerId] = status;
 
   if (status.transferred === 0) {
-    log.info(`Worker: ${workerId} Starting Job: ${status.job.index}/${status.job.type}`);
+    log.info(`Worker: ${workerId} Starting Job: ${describeJob(status.job)}`);
   }
 };
 
+/**
+ * Short human readable description of a job received from a worker
+ *
+ * @param job
+ * @returns {string}
+ */
+const describeJob = (job)=> {
+  let description = `${job.index}/${job.type}`;
+
+  if (!_.isUndefined(job.shard)) {
+    description += ` shard ${job.shard}`;
+  }
+
+  if (job.slice) {
+    description += ` slice ${job.slice.id + 1}/${job.slice.max}`;
+  }
+
+  if (job.range) {
+    description += ` ${JSON.stringify(job.range)}`;
+  }
+
+  if (job.since) {
+    description += ` since ${job.since.field} >= ${job.since.gte}`;
+  }
+
+  if (job.query) {
+    description += ` query ${JSON.stringify(job.query)}`;
+  }
+
+  return description;
+};
+
 module.exports = Master;
\ No newline at end of file
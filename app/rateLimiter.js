@@ -0,0 +1,105 @@
+const _       = require('lodash');
+const Promise = require('bluebird');
+
+// Limits that can be set, each in units per second
+const LIMIT_NAMES = [
+  'docsPerSecond',
+  'bytesPerSecond'
+];
+
+// How far behind the limit can fall while idle, and be caught up on at once
+const MAX_BURST = 1000;
+
+/**
+ * Check the rate limits, eg {docsPerSecond: 1000, bytesPerSecond: 5242880}, and return only those that are set.
+ * Without any, the rate is unlimited.
+ *
+ * @param limits
+ * @returns {{}}
+ */
+const validateLimits = (limits)=> {
+  if (_.isUndefined(limits) || _.isNull(limits)) {
+    return {};
+  }
+
+  if (!_.isPlainObject(limits)) {
+    throw new Error('rate limits must be an object');
+  }
+
+  _.forEach(limits, (value, name)=> {
+    if (!_.includes(LIMIT_NAMES, name)) {
+      throw new Error(`rate limits: '${name}' not one of: [${_.join(LIMIT_NAMES, ',')}]`);
+    } else if (!_.isNull(value) && (!_.isNumber(value) || !(value > 0))) {
+      throw new Error(`rate limits: ${name} must be a number gt 0`);
+    }
+  });
+
+  return _.omitBy(limits, _.isNull);
+};
+
+/**
+ * Short human readable description of rate limits
+ *
+ * @param limits
+ * @returns {string}
+ */
+const describeLimits = (limits)=> {
+  if (_.isEmpty(limits)) {
+    return 'unlimited';
+  }
+
+  return _.join(_.map(_.pick(limits, LIMIT_NAMES), (value, name)=> {
+    return `${_.round(value, 2)} ${name === 'docsPerSecond' ? 'docs' : 'bytes'}/sec`;
+  }), ', ');
+};
+
+/**
+ * Paces whoever acquires from it to the rate limits
+ *
+ * Each acquisition is of what was just read, and waits for its turn. Its turn comes once every earlier acquisition
+ * had the time it takes at the limits, so the rate averages out to the limits. New limits apply from the next
+ * acquisition.
+ *
+ * @param limits
+ * @constructor
+ */
+const RateLimiter = function (limits) {
+  const self = this;
+
+  let current  = validateLimits(limits);
+  let nextTurn = 0;
+
+  self.setLimits = (updated)=> {
+    current = validateLimits(updated);
+  };
+
+  self.getLimits = ()=> {
+    return _.clone(current);
+  };
+
+  /**
+   * Resolve once it is the turn of docs, taking bytes
+   *
+   * @param docs
+   * @param bytes
+   * @returns {Promise.<TResult>}
+   */
+  self.acquire = (docs, bytes)=> {
+    const now  = Date.now();
+    const turn = Math.max(nextTurn, now - MAX_BURST);
+    const time = Math.max(
+      current.docsPerSecond ? (docs / current.docsPerSecond) : 0,
+      current.bytesPerSecond ? (bytes / current.bytesPerSecond) : 0
+    );
+
+    nextTurn = turn + (time * 1000);
+
+    return (turn > now) ? Promise.delay(turn - now) : Promise.resolve();
+  };
+};
+
+module.exports = {
+  validateLimits: validateLimits,
+  describeLimits: describeLimits,
+  RateLimiter:    RateLimiter
+};
@@ -5,12 +5,30 @@ const path    = require('path');
 const config  = require('../config');
 const log     = config.log;
 
-const FLUSH_SIZE = 450;
+const utils         = require('../config/utils');
+const indexSettings = require('./indexSettings');
+
+// Scroll and bulk sizes of a transfer, unless configured otherwise
+const DEFAULT_SIZES = {
+  scrollSize:      40,
+  scrollTimeout:   '1m',
+  bulkActions:     225,
+  bulkBytes:       10 * 1024 * 1024,
+  bulkConcurrency: 1
+};
+const SIZE_NAMES    = _.keys(DEFAULT_SIZES);
 
 let source = null;
 let dest   = null;
 
+// Configured sizes, optionally with overrides per index pattern, those set while transferring, eg by the autoscaler,
+// and the sizes of the transfer in progress
+let sizes         = {};
+let sizeOverrides = {};
+let currentSizes  = _.clone(DEFAULT_SIZES);
+
 const bulkQueue     = [];
+let bulkQueueBytes  = 0;
 let mutators        = {};
 const MUTATOR_TYPES = [
   'data',
@@ -19,18 +37,72 @@ const MUTATOR_TYPES = [
 ];
 
 let queueSummary = {
-  tick:        0,
-  transferred: 0,
-  scrolled:    0,
-  errors:      0
+  tick:          0,
+  transferred:   0,
+  scrolled:      0,
+  errors:        0,
+  checkpoint:    null,
+  bulkLatency:   null,
+  bulkRejected:  0,
+  scrollLatency: null,
+  deadLettered:  0
 };
 
+let sortField         = null;
+let pendingCheckpoint = null;
+
+// Indices, and types within them, the docs of the last transfer were written to once mutated
+let destinations = {};
+
+// API versions of the source and destination, deciding which index settings can be copied between them
+let sourceVersion = null;
+let destVersion   = null;
+
+// In a dry run nothing is written to the destination, and what would be written is printed instead
+let dryRun = false;
+
+// What is done when an index or template already exists in the destination, and how each is reported
+const CONFLICT_POLICIES = {
+  fail:           'failed',
+  skip:           'skipped',
+  recreate:       'recreated',
+  updateMappings: 'updated'
+};
+let indexConflict    = 'fail';
+let templateConflict = 'recreate';
+
+// Index settings that only describe the source index, and are never put
+const READ_ONLY_INDEX_SETTINGS = [
+  'uuid',
+  'version',
+  'creation_date',
+  'provided_name'
+];
+
+// Index settings that can't be changed once an index is created (or while it is open)
+const STATIC_INDEX_SETTINGS = [
+  'number_of_shards',
+  'analysis'
+];
+
 let updateCallback    = null;
-let flushRetryCount   = 0;
+let flushGate         = null;
+let scrollGate        = null;
+
+// Given the docs the destination failed for good, instead of failing the transfer, if set. Rejects to fail it anyway.
+let deadLetterHandler = null;
 const MAX_FLUSH_RETRY = 5;
 const MIN_RETRY_WAIT  = 2 * 1000;
 const MAX_RETRY_WAIT  = 7 * 1000;
 
+// Bulk requests of the transfer in progress that are sent and not done yet, by sequence number. Those done before an
+// earlier one are held in doneBulks, so checkpoints only ever advance past bulks that are all done.
+let inFlightBulks  = {};
+let doneBulks      = {};
+let nextBulkId     = 0;
+let nextDoneBulkId = 0;
+let bulkError      = null;
+
 /**
  * Transfer constructor
  *
@@ -68,9 +140,50 @@ const Transfer = function (sourceEs, destEs) {
     updateCallback = callback;
   };
 
+  self.setFlushGate = (gate)=> {
+    flushGate = gate;
+  };
+
+  self.setScrollGate = (gate)=> {
+    scrollGate = gate;
+  };
+
+  self.setDeadLetterHandler = (handler)=> {
+    deadLetterHandler = handler;
+  };
+
+  self.setSortField = (field)=> {
+    sortField = field;
+  };
+
+  self.setSizes = setSizes;
+  self.getSizes = getSizes;
+
+  self.setSizeOverrides = (overrides)=> {
+    sizeOverrides = overrides || {};
+    _.assign(currentSizes, sizeOverrides);
+  };
+
+  self.setApiVersions = (sourceApiVersion, destApiVersion)=> {
+    sourceVersion = sourceApiVersion || null;
+    destVersion   = destApiVersion || null;
+  };
+
+  self.setDryRun = (enabled)=> {
+    dryRun = enabled === true;
+  };
+
+  self.setIndexConflict = (policy)=> {
+    indexConflict = validateConflictPolicy(policy);
+  };
+
+  self.setTemplateConflict = (policy)=> {
+    templateConflict = validateConflictPolicy(policy);
+  };
+
   self.transferIndices = (indicesNames)=> {
     return getIndices(indicesNames).then((indices)=> {
-      return putIndices(mutate(indices, 'index'));
+      return putIndices(mutate(sanitizeIndices(indices), 'index'));
     });
   };
 
@@ -80,7 +193,10 @@ const Transfer = function (sourceEs, destEs) {
     });
   };
 
-  self.transferData = mutateAndTransferData;
+  self.transferData  = mutateAndTransferData;
+  self.reconcileData = reconcileData;
+  self.verifyData    = verifyData;
+  self.previewData   = previewData;
 
   self.handleBulkErrors = handleBulkErrors;
 
@@ -221,6 +337,21 @@ const putTemplates = (templates)=> {
     const name = template.name;
     delete template.name;
 
+    return putWithPolicy('template', name, template, templateConflict, TEMPLATE_OPERATIONS);
+  });
+};
+
+// How putWithPolicy checks, creates and updates a template of the destination. Putting a template replaces any of the
+// same name at once, so it is recreated without removing it first, and no index created in between goes without it.
+const TEMPLATE_OPERATIONS = {
+  exists: (name)=> {
+    return dest.indices.getTemplate({name: name}).then((templates)=> {
+      return _.has(templates, name);
+    }).catch((error)=> {
+      return (error.status === 404) ? false : Promise.reject(error);
+    });
+  },
+  create: (name, template)=> {
     log.info('putting template: ', name);
     return dest.indices.putTemplate({
       name: name,
@@ -229,7 +360,10 @@ const putTemplates = (templates)=> {
       log.error('Error during put templates: ', error);
       return Promise.reject(error);
     });
-  });
+  },
+  update: (name, template)=> {
+    return updateTemplate(name, template);
+  }
 };
 
 /**
@@ -239,17 +373,26 @@ const putTemplates = (templates)=> {
  *
  * Queue it for sending to destination.
  *
- * Optionally provide query to restrict the data to be retrieved.
+ * If a sort field is set, docs are scrolled in order of that field, and every flush reports the sort values of the
+ * last doc it transferred as a checkpoint in the summary.
+ *
+ * Optionally provide query to restrict the data to be retrieved, and extra search parameters (eg preference).
  * @param targetIndex
  * @param targetType
  * @param body
+ * @param searchParams
  */
-const mutateAndTransferData = (targetIndex, targetType, body) => {
+const mutateAndTransferData = (targetIndex, targetType, body, searchParams) => {
   queueSummary = {
-    tick:        0,
-    transferred: 0,
-    scrolled:    0,
-    errors:      0
+    tick:          0,
+    transferred:   0,
+    scrolled:      0,
+    errors:        0,
+    checkpoint:    null,
+    bulkLatency:   null,
+    bulkRejected:  0,
+    scrollLatency: null,
+    deadLettered:  0
   };
 
   if (!_.isString(targetIndex) || targetIndex.length === 0) {
@@ -264,15 +407,44 @@ const mutateAndTransferData = (targetIndex, targetType, body) => {
     throw new Error('if provided, body must be an object');
   }
 
-  flushRetryCount = 0;
+  if (searchParams && !_.isObject(searchParams)) {
+    throw new Error('if provided, searchParams must be an object');
+  }
 
-  return source.search({
+  // Docs queued by an earlier transfer that failed before flushing them belong to that transfer, not this one
+  bulkQueue.length  = 0;
+  bulkQueueBytes    = 0;
+  pendingCheckpoint = null;
+  destinations      = {};
+  currentSizes      = _.assign(getSizes(targetIndex), sizeOverrides);
+  inFlightBulks     = {};
+  doneBulks         = {};
+  nextBulkId        = 0;
+  nextDoneBulkId    = 0;
+  bulkError         = null;
+
+  if (sortField) {
+    const sort = {};
+    sort[sortField] = {order: 'asc'};
+
+    body = _.assign({}, body, {
+      sort: [
+        sort,
+        {_uid: {order: 'asc'}}
+      ]
+    });
+  }
+
+  let scrollStart = Date.now();
+
+  return source.search(_.assign({
     index:  targetIndex,
     type:   targetType,
-    scroll: '1m',
+    scroll: currentSizes.scrollTimeout,
     body:   body,
-    size:   40
-  }).then(function scrollAndGetData(response) {
+    size:   currentSizes.scrollSize
+  }, searchParams)).then(function scrollAndGetData(response) {
+    queueSummary.scrollLatency = Date.now() - scrollStart;
 
     // log.info('response', JSON.stringify(response, null, 2));
     // log.info('size', response.hits.hits.length);
@@ -283,17 +455,33 @@ const mutateAndTransferData = (targetIndex, targetType, body) => {
       queueSummary.scrolled++;
     });
 
-    return putData(mutate(documents, 'data')).then(()=> {
+    // Once a doc is flushed, everything up to it has been transferred.
+    // Docs without the sort field come last, and there is no way to resume from within them.
+    const checkpoints = _.map(documents, (hit)=> {
+      return (sortField && _.has(hit._source, sortField)) ? {
+        field: sortField,
+        sort:  hit.sort
+      } : null;
+    });
+
+    // Gives the owner of the transfer a chance to wait after each page, eg to keep to rate limits, given its docs and bytes
+    const gate = _.isFunction(scrollGate) ? scrollGate(documents.length, getSourceBytes(documents)) : null;
+
+    return Promise.resolve(gate).then(()=> {
+      return putData(mutate(documents, 'data'), checkpoints);
+    }).then(()=> {
       if (response.hits.total !== queueSummary.scrolled) {
+        scrollStart = Date.now();
+
         return source.scroll({
           scroll_id: response._scroll_id,
-          scroll:    '1m'
+          scroll:    currentSizes.scrollTimeout
         }).then((inner_response)=> {
           log.debug('scrolling: ', queueSummary);
           return scrollAndGetData(inner_response);
         });
       } else {
-        return flushQueue().then(()=> {
+        return flushQueue().then(waitForBulks).then(()=> {
           log.debug('transfer complete: ', queueSummary);
           return queueSummary.transferred;
         });
@@ -302,24 +490,330 @@ const mutateAndTransferData = (targetIndex, targetType, body) => {
 
   }).catch((error)=> {
     log.error('Error during search: ', error);
-    return Promise.reject(error);
+
+    // Drop the docs never flushed, which the job is transferred again for
+    bulkQueue.length = 0;
+    bulkQueueBytes   = 0;
+
+    // Let the bulks still in flight settle, so none of them changes the state of the next transfer
+    return Promise.all(_.values(inFlightBulks)).then(()=> {
+      return Promise.reject(error);
+    });
   });
 
 };
 
 /**
- * Queue docs for upsert into dest elasticsearch
+ * Count the bytes of the sources of documents, as serialized
+ *
  * @param documents
+ * @returns {number}
+ */
+const getSourceBytes = (documents)=> {
+  return _.sumBy(documents, (document)=> {
+    return Buffer.byteLength(JSON.stringify(document._source));
+  });
+};
+
+/**
+ * Count the docs matching body in the source index/type, and in the destination after refreshing it
+ *
+ * The destination is every index and type the last transfer wrote to, as data mutators may have renamed them.
+ * If nothing was written, it is the source index/type. Resolves {source, dest}.
+ *
+ * @param targetIndex
+ * @param targetType
+ * @param body
+ * @param searchParams
+ * @returns {Promise.<TResult>}
+ */
+const reconcileData = (targetIndex, targetType, body, searchParams)=> {
+  const destIndices = _.isEmpty(destinations) ? [targetIndex] : _.keys(destinations);
+  const destTypes   = _.isEmpty(destinations) ? [targetType] : _.uniq(_.flatMap(_.values(destinations), _.keys));
+
+  return dest.indices.refresh({
+    index:             _.join(destIndices, ','),
+    ignoreUnavailable: true
+  }).then(()=> {
+    return Promise.props({
+      source: source.count(_.assign({
+        index: targetIndex,
+        type:  targetType,
+        body:  body
+      }, searchParams)),
+      dest:   dest.count({
+        index:             _.join(destIndices, ','),
+        type:              _.join(destTypes, ','),
+        body:              body,
+        ignoreUnavailable: true
+      })
+    });
+  }).then((results)=> {
+    return {
+      source: parseInt(results.source.count),
+      dest:   parseInt(results.dest.count)
+    };
+  });
+};
+
+/**
+ * Get the first docs of the source index/type matching body, before and after the data mutators, without writing them
+ *
+ * Resolves [{before, after}].
+ *
+ * @param targetIndex
+ * @param targetType
+ * @param size
+ * @param body
+ * @returns {Promise.<TResult>}
+ */
+const previewData = (targetIndex, targetType, size, body)=> {
+  if (!_.isString(targetIndex) || targetIndex.length === 0) {
+    throw new Error('targetIndex must be string with length');
+  }
+
+  if (!_.isString(targetType) || targetType.length === 0) {
+    throw new Error('targetType must be string with length');
+  }
+
+  if (!_.isInteger(size) || size < 1) {
+    throw new Error('size must be an integer gte 1');
+  }
+
+  return source.search({
+    index: targetIndex,
+    type:  targetType,
+    size:  size,
+    body:  body
+  }).then((response)=> {
+    // Mutators may change the docs they are given, so keep a copy of the originals
+    const before = _.cloneDeep(response.hits.hits);
+
+    return _.zipWith(before, mutate(response.hits.hits, 'data'), (original, mutated)=> {
+      return {
+        before: original,
+        after:  mutated
+      };
+    });
+  });
+};
+
+/**
+ * Compare a random sample of docs of the source index/type, run through the data mutators, with the destination
+ *
+ * Optionally provide a query body to sample only matching docs. Resolves {index, type, sampled, missing, different},
+ * where missing lists the docs not found in the destination, and different those whose fields differ, eg
+ * {_index, _type, _id, fields: [{field, source, dest}]}.
+ *
+ * @param targetIndex
+ * @param targetType
+ * @param size
+ * @param body
+ * @returns {Promise.<TResult>}
+ */
+const verifyData = (targetIndex, targetType, size, body)=> {
+  if (!_.isString(targetIndex) || targetIndex.length === 0) {
+    throw new Error('targetIndex must be string with length');
+  }
+
+  if (!_.isString(targetType) || targetType.length === 0) {
+    throw new Error('targetType must be string with length');
+  }
+
+  if (!_.isInteger(size) || size < 1) {
+    throw new Error('size must be an integer gte 1');
+  }
+
+  const query = (body && body.query) ? body.query : {match_all: {}};
+
+  return source.search({
+    index: targetIndex,
+    type:  targetType,
+    size:  size,
+    body:  {
+      query: {
+        function_score: {
+          query:        query,
+          random_score: {}
+        }
+      }
+    }
+  }).then((response)=> {
+    const expected = mutate(response.hits.hits, 'data');
+
+    if (expected.length === 0) {
+      return [expected, []];
+    }
+
+    return dest.mget({
+      body: {
+        docs: _.map(expected, (document)=> {
+          return {
+            _index: document._index,
+            _type:  document._type,
+            _id:    document._id
+          };
+        })
+      }
+    }).then((result)=> {
+      return [expected, result.docs];
+    });
+  }).spread((expected, actual)=> {
+    return _.reduce(expected, (summary, document, i)=> {
+      const found = actual[i];
+      const ref   = _.pick(document, ['_index', '_type', '_id']);
+
+      if (!found || !found.found) {
+        summary.missing.push(ref);
+      } else {
+        const fields = diffDocuments(document._source, found._source);
+
+        if (fields.length > 0) {
+          summary.different.push(_.assign(ref, {fields: fields}));
+        }
+      }
+
+      return summary;
+    }, {
+      index:     targetIndex,
+      type:      targetType,
+      sampled:   expected.length,
+      missing:   [],
+      different: []
+    });
+  });
+};
+
+/**
+ * List every field that differs between two docs, with its value in each, eg [{field: 'price', source: 1, dest: '1'}]
+ *
+ * Nested objects are compared field by field, arrays as a whole.
+ *
+ * @param sourceDoc
+ * @param destDoc
+ * @returns {Array}
+ */
+const diffDocuments = (sourceDoc, destDoc)=> {
+  const sourceFields = flattenDocument(sourceDoc);
+  const destFields   = flattenDocument(destDoc);
+
+  return _.reduce(_.union(_.keys(sourceFields), _.keys(destFields)).sort(), (result, field)=> {
+    if (!_.isEqual(sourceFields[field], destFields[field])) {
+      result.push({
+        field:  field,
+        source: sourceFields[field],
+        dest:   destFields[field]
+      });
+    }
+
+    return result;
+  }, []);
+};
+
+/**
+ * Map every leaf of a doc to its dotted path, eg {a: {b: 1}} to {'a.b': 1}
+ *
+ * @param document
+ * @param prefix
+ * @returns {{}}
+ */
+const flattenDocument = (document, prefix)=> {
+  return _.reduce(document, (result, value, name)=> {
+    const field = prefix ? `${prefix}.${name}` : name;
+
+    if (_.isPlainObject(value) && !_.isEmpty(value)) {
+      _.assign(result, flattenDocument(value, field));
+    } else {
+      result[field] = value;
+    }
+
+    return result;
+  }, {});
+};
+
+/**
+ * Queue docs for upsert into dest elasticsearch, flushing whenever the bulk reaches its max actions or bytes
+ *
+ * Optionally provide the checkpoint each doc reaches once flushed.
+ *
+ * @param documents
+ * @param checkpoints
  * @returns {*}
  */
-const putData = (documents) => {
-  _.reduce(documents, docToBulk, bulkQueue);
+const putData = (documents, checkpoints) => {
+  return Promise.each(documents, (document, i)=> {
+    docToBulk(bulkQueue, document);
 
-  if (bulkQueue.length > FLUSH_SIZE) {
-    return flushQueue();
-  } else {
-    return Promise.resolve();
+    if (checkpoints && checkpoints[i]) {
+      pendingCheckpoint = checkpoints[i];
+    }
+
+    if (bulkQueue.length / 2 >= currentSizes.bulkActions || bulkQueueBytes >= currentSizes.bulkBytes) {
+      return flushQueue();
+    }
+  });
+};
+
+/**
+ * Set the scroll and bulk sizes, eg {scrollSize: 500, bulkBytes: 5242880, indices: {'huge-*': {scrollSize: 10}}}
+ *
+ * Any of scrollSize, scrollTimeout, bulkActions, bulkBytes and bulkConcurrency can be set, for every index and for index
+ * patterns.
+ * Whatever is not set keeps its default.
+ *
+ * @param configured
+ */
+const setSizes = (configured)=> {
+  if (_.isUndefined(configured) || _.isNull(configured)) {
+    sizes = {};
+    return;
   }
+
+  if (!_.isPlainObject(configured) || (_.has(configured, 'indices') && !_.isPlainObject(configured.indices))) {
+    throw new Error('sizes must be an object, with an optional object of index patterns to sizes');
+  }
+
+  validateSizes(_.omit(configured, 'indices'), 'sizes');
+  _.forEach(configured.indices, (overrides, pattern)=> {
+    validateSizes(overrides, `sizes of '${pattern}'`);
+  });
+
+  sizes = configured;
+};
+
+/**
+ * Check every size is known, and of the right type
+ *
+ * @param values
+ * @param name
+ */
+const validateSizes = (values, name)=> {
+  if (!_.isPlainObject(values)) {
+    throw new Error(`${name} must be an object`);
+  }
+
+  _.forEach(values, (value, size)=> {
+    if (!_.includes(SIZE_NAMES, size)) {
+      throw new Error(`${name}: '${size}' not one of: [${_.join(SIZE_NAMES, ',')}]`);
+    } else if (size === 'scrollTimeout' && (!_.isString(value) || value.length === 0)) {
+      throw new Error(`${name}: scrollTimeout must be a duration string, eg '1m'`);
+    } else if (size !== 'scrollTimeout' && (!_.isInteger(value) || value < 1)) {
+      throw new Error(`${name}: ${size} must be an integer gte 1`);
+    }
+  });
+};
+
+/**
+ * Get the sizes used to transfer an index: the defaults, overridden by the configured sizes, then by those of every
+ * matching index pattern in order
+ *
+ * @param index
+ * @returns {{}}
+ */
+const getSizes = (index)=> {
+  return _.reduce(sizes.indices, (result, overrides, pattern)=> {
+    return utils.matchesPattern(index, pattern) ? _.assign(result, overrides) : result;
+  }, _.assign({}, DEFAULT_SIZES, _.omit(sizes, 'indices')));
 };
 
 /**
@@ -349,6 +843,25 @@ const getIndices = (indexNames)=> {
   });
 };
 
+/**
+ * Remove the settings of each index that can't be copied from the source version to the destination version
+ *
+ * @param indices
+ * @returns {Array}
+ */
+const sanitizeIndices = (indices)=> {
+  _.forEach(indices, (index)=> {
+    const dropped = indexSettings.sanitizeIndex(index, sourceVersion, destVersion);
+
+    if (dropped.length > 0) {
+      log.info(`index: ${index.name} dropped settings not portable from ${sourceVersion} to ${destVersion}: ` +
+        `${_.join(dropped, ', ')}`);
+    }
+  });
+
+  return indices;
+};
+
 /**
  * Push index configurations (not data) to destination
  *
@@ -364,13 +877,23 @@ const putIndices = (indices)=> {
     const name = index.name;
     delete index.name;
 
-    log.info('creating index: ', name);
-
     if (!_.isString(name)) {
       log.error('bad index object: ', JSON.stringify(index, null, 2));
       throw new Error('name must be defined');
     }
 
+    return putWithPolicy('index', name, index, indexConflict, INDEX_OPERATIONS);
+  });
+};
+
+// How putWithPolicy checks, creates, removes and updates an index of the destination
+const INDEX_OPERATIONS = {
+  exists: (name)=> {
+    return dest.indices.exists({index: name});
+  },
+  create: (name, index)=> {
+    log.info('creating index: ', name);
+
     return dest.indices.create({
       index: name,
       body:  index
@@ -378,9 +901,186 @@ const putIndices = (indices)=> {
       log.error(`Error during index (${name}) put: `, error);
       return Promise.reject(error);
     });
+  },
+  remove: (name)=> {
+    return dest.indices.delete({index: name});
+  },
+  update: (name, index)=> {
+    return updateIndex(name, index);
+  }
+};
+
+/**
+ * Check a conflict policy is one of those supported
+ *
+ * @param policy
+ * @returns {string}
+ */
+const validateConflictPolicy = (policy)=> {
+  if (!_.has(CONFLICT_POLICIES, policy)) {
+    throw new Error(`conflict policy '${policy}' not one of: [${_.join(_.keys(CONFLICT_POLICIES), ',')}]`);
+  }
+
+  return policy;
+};
+
+/**
+ * Put an index or template in the destination, following the conflict policy if it already exists there
+ *
+ * The operations create, remove and update it, and check whether it exists. Update resolves the changes that could not
+ * be applied. Without remove, create replaces the existing one. Resolves a summary of what was done, eg
+ * {name, action: 'updated', rejected: [{part, error}]}.
+ *
+ * @param kind
+ * @param name
+ * @param body
+ * @param policy
+ * @param operations
+ * @returns {Promise.<TResult>}
+ */
+const putWithPolicy = (kind, name, body, policy, operations)=> {
+  return operations.exists(name).then((exists)=> {
+    const summary = {
+      name:     name,
+      action:   exists ? CONFLICT_POLICIES[policy] : 'created',
+      rejected: []
+    };
+
+    if (dryRun) {
+      log.info(`dry run, ${kind}: ${name} would be ${summary.action}`, JSON.stringify(body, null, 2));
+      return summary;
+    }
+
+    if (summary.action === 'failed') {
+      return Promise.reject(new Error(`${kind}: ${name} already exists in the destination`));
+    } else if (summary.action === 'skipped') {
+      log.info(`${kind}: ${name} already exists, skipping`);
+      return summary;
+    } else if (summary.action === 'recreated') {
+      log.info(`${kind}: ${name} already exists, recreating`);
+      return Promise.resolve(operations.remove && operations.remove(name)).then(()=> {
+        return operations.create(name, body);
+      }).return(summary);
+    } else if (summary.action === 'updated') {
+      log.info(`${kind}: ${name} already exists, updating`);
+      return operations.update(name, body).then((rejected)=> {
+        summary.rejected = rejected;
+        return summary;
+      });
+    }
+
+    return operations.create(name, body).return(summary);
+  });
+};
+
+/**
+ * Put the mappings and dynamic settings of an index in the existing destination index, and resolve what was rejected
+ *
+ * @param name
+ * @param index
+ * @returns {Promise.<TResult>}
+ */
+const updateIndex = (name, index)=> {
+  const rejected = [];
+
+  return Promise.each(_.keys(index.mappings), (type)=> {
+    return dest.indices.putMapping({
+      index: name,
+      type:  type,
+      body:  _.pick(index.mappings, type)
+    }).catch((error)=> {
+      rejected.push({
+        part:  `mappings.${type}`,
+        error: error.message
+      });
+    });
+  }).then(()=> {
+    return dest.indices.getSettings({index: name});
+  }).then((response)=> {
+    const existing = _.get(response, [name, 'settings', 'index'], {});
+    const settings = _.omitBy(_.omit(_.get(index, ['settings', 'index'], {}), READ_ONLY_INDEX_SETTINGS), (value, setting)=> {
+      return _.isEqual(value, existing[setting]);
+    });
+
+    _.forEach(_.pick(settings, STATIC_INDEX_SETTINGS), (value, setting)=> {
+      rejected.push({
+        part:  `settings.index.${setting}`,
+        error: 'cannot be changed on an existing index'
+      });
+    });
+
+    const dynamicSettings = _.omit(settings, STATIC_INDEX_SETTINGS);
+
+    if (_.isEmpty(dynamicSettings)) {
+      return;
+    }
+
+    return dest.indices.putSettings({
+      index: name,
+      body:  {index: dynamicSettings}
+    }).catch((error)=> {
+      rejected.push({
+        part:  'settings',
+        error: error.message
+      });
+    });
+  }).then(()=> {
+    return rejected;
+  });
+};
+
+/**
+ * Merge a template into the existing destination template, keeping the existing value of anything that differs
+ *
+ * Resolves what could not be merged.
+ *
+ * @param name
+ * @param template
+ * @returns {Promise.<TResult>}
+ */
+const updateTemplate = (name, template)=> {
+  return dest.indices.getTemplate({name: name}).then((templates)=> {
+    const rejected = [];
+    const merged   = mergeCompatible(templates[name], template, null, rejected);
+
+    return dest.indices.putTemplate({
+      name: name,
+      body: merged
+    }).then(()=> {
+      return rejected;
+    });
   });
 };
 
+/**
+ * Recursively add every field of incoming missing from existing. Fields set to a different value in both are kept as
+ * they are in existing, and added to rejected.
+ *
+ * @param existing
+ * @param incoming
+ * @param prefix
+ * @param rejected
+ * @returns {{}}
+ */
+const mergeCompatible = (existing, incoming, prefix, rejected)=> {
+  return _.reduce(incoming, (result, value, name)=> {
+    const part = prefix ? `${prefix}.${name}` : name;
+
+    if (!_.has(result, name)) {
+      result[name] = value;
+    } else if (_.isPlainObject(result[name]) && _.isPlainObject(value)) {
+      result[name] = mergeCompatible(result[name], value, part, rejected);
+    } else if (!_.isEqual(result[name], value)) {
+      rejected.push({
+        part:  part,
+        error: `is ${JSON.stringify(result[name])} in the destination`
+      });
+    }
+
+    return result;
+  }, _.cloneDeep(existing) || {});
+};
+
 /**
  * Add provided document to bulk queue as upsert.
  *
@@ -389,67 +1089,174 @@ const putIndices = (indices)=> {
  * @returns {*}
  */
 const docToBulk = (queue, document)=> {
-  queue.push({
+  _.set(destinations, [document._index, document._type], true);
+
+  return pushBulkAction(queue, {
     update: {
       _index: document._index,
       _type:  document._type,
       _id:    document._id
     }
-  });
-  queue.push({
+  }, {
     doc:           document._source,
     doc_as_upsert: true
   });
+};
+
+/**
+ * Add an action and its data to the bulk queue, keeping count of the bytes they take in the bulk body
+ *
+ * @param queue
+ * @param action
+ * @param data
+ * @returns {*}
+ */
+const pushBulkAction = (queue, action, data)=> {
+  queue.push(action);
+  queue.push(data);
+
+  // One line each, plus their newlines
+  bulkQueueBytes += Buffer.byteLength(JSON.stringify(action)) + Buffer.byteLength(JSON.stringify(data)) + 2;
 
   return queue;
 };
 
 /**
- * Flushes any queued bulk inserts
+ * Send any queued bulk inserts as a new bulk request
+ *
+ * Up to bulkConcurrency bulks are in flight at once. Once that many are, resolves when one of them is done, so the
+ * scroll waits for the destination instead of queueing without bound. Rejects with the error of any failed bulk.
  *
  * @returns {Promise.<TResult>}
  */
 const flushQueue = ()=> {
-  if (bulkQueue.length > 0) {
-    const bulkBody = [];
-    while (bulkQueue.length > 0) {
-      bulkBody.push(bulkQueue.shift());
-    }
+  if (bulkQueue.length > 0 && !bulkError) {
+    const bulkBody   = bulkQueue.splice(0, bulkQueue.length);
+    const bulkId     = nextBulkId++;
+    const checkpoint = pendingCheckpoint;
+    const stats      = {
+      latency:  null,
+      rejected: 0
+    };
+
+    bulkQueueBytes = 0;
+
+    inFlightBulks[bulkId] = sendBulk(bulkBody, 0, stats).then((transferred)=> {
+      return completeBulk(bulkId, transferred, checkpoint, stats);
+    }).catch((error)=> {
+      bulkError = bulkError || error;
+    }).finally(()=> {
+      delete inFlightBulks[bulkId];
+    });
+  }
 
-    queueSummary.tick = 0;
+  return waitForCapacity();
+};
 
-    return dest.bulk({body: bulkBody}).then((results)=> {
-      // log.info('response', JSON.stringify(results, null, 2));
+/**
+ * Resolve once fewer than bulkConcurrency bulks are in flight, or reject if any bulk failed
+ *
+ * @returns {Promise.<TResult>}
+ */
+const waitForCapacity = ()=> {
+  if (bulkError) {
+    return Promise.reject(bulkError);
+  } else if (_.size(inFlightBulks) < currentSizes.bulkConcurrency) {
+    return Promise.resolve();
+  }
 
-      if (results.errors && results.errors > 0) {
-        return handleBulkErrors(results, bulkBody);
-      } else {
-        queueSummary.transferred += results.items.length;
-        queueSummary.tick = results.items.length;
+  return Promise.any(_.values(inFlightBulks)).then(waitForCapacity);
+};
 
-        if (_.isFunction(updateCallback)) {
-          updateCallback(queueSummary);
-        }
+/**
+ * Resolve once every bulk in flight is done, or reject if any bulk failed
+ *
+ * @returns {Promise.<TResult>}
+ */
+const waitForBulks = ()=> {
+  return Promise.all(_.values(inFlightBulks)).then(()=> {
+    return bulkError ? Promise.reject(bulkError) : Promise.resolve();
+  });
+};
 
-        log.debug('flush complete: ', queueSummary);
+/**
+ * Send a bulk request, retrying the items the destination rejected. Resolves the number of items transferred.
+ *
+ * The latency of the first request, and the number of rejections, are kept in stats.
+ *
+ * @param bulkBody
+ * @param retry
+ * @param stats
+ * @returns {Promise.<TResult>}
+ */
+const sendBulk = (bulkBody, retry, stats)=> {
+  const sent = Date.now();
 
-        return Promise.resolve();
-      }
-    });
-  } else {
-    return Promise.resolve();
+  return dest.bulk({body: bulkBody}).then((results)=> {
+    // log.info('response', JSON.stringify(results, null, 2));
+
+    if (stats && retry === 0) {
+      stats.latency = Date.now() - sent;
+    }
+
+    if (results.errors && results.errors > 0) {
+      return handleBulkErrors(results, bulkBody, retry, stats);
+    }
+
+    return results.items.length;
+  });
+};
+
+/**
+ * Account for a bulk that is done, and move the checkpoint up to the last bulk that every earlier one is done before
+ *
+ * @param bulkId
+ * @param transferred
+ * @param checkpoint
+ * @param stats
+ * @returns {Promise.<TResult>}
+ */
+const completeBulk = (bulkId, transferred, checkpoint, stats)=> {
+  queueSummary.transferred += transferred;
+  queueSummary.tick = transferred;
+  queueSummary.bulkLatency = stats.latency;
+  queueSummary.bulkRejected = stats.rejected;
+
+  doneBulks[bulkId] = checkpoint;
+  while (_.has(doneBulks, nextDoneBulkId)) {
+    queueSummary.checkpoint = doneBulks[nextDoneBulkId];
+    delete doneBulks[nextDoneBulkId];
+    nextDoneBulkId++;
+  }
+
+  if (_.isFunction(updateCallback)) {
+    updateCallback(queueSummary);
   }
+
+  log.debug('flush complete: ', queueSummary);
+
+  // Gives the owner of the transfer a chance to wait, or to stop it by rejecting, between flushes
+  return _.isFunction(flushGate) ? Promise.resolve(flushGate()) : Promise.resolve();
 };
 
 /**
- * If any errors are detected in the transfer, they are handled here for possible recovery
+ * If any errors are detected in a bulk, they are handled here for possible recovery
+ *
+ * Rejected items are sent again, in their original order, as a retry of the same bulk. Other failed items fail the
+ * bulk, unless there is a dead letter handler to take them. Resolves the number of items of the bulk transferred,
+ * including by retries.
  *
  * @param results
  * @param bulkBody
+ * @param retry
+ * @param stats
  * @returns {*}
  */
-const handleBulkErrors = (results, bulkBody)=> {
+const handleBulkErrors = (results, bulkBody, retry, stats)=> {
   const unrecoverableErrors = [];
+  const deadLetters         = [];
+  const retryBody           = [];
+  let transferred           = 0;
 
   _.forEach(results.items, (item, id)=> {
 
@@ -457,50 +1264,65 @@ const handleBulkErrors = (results, bulkBody)=> {
     const actionType = Object.keys(item)[0];
 
     // If there is a rejection error, we're just overloading the ingress of the destination
-    // Re-add the relevant record to the queue and try again later
+    // Keep the relevant record to try again later
     if (item[actionType].error) {
       if (item[actionType].error.type === 'es_rejected_execution_exception') {
         // log.warn('Recoverable error during batch, retrying later', item[actionType].error);
 
-        // Action is found at 2 x id
-        bulkQueue.push(bulkBody[id * 2]);
+        // Action is found at 2 x id, and data at 2 x id + 1
+        retryBody.push(bulkBody[id * 2], bulkBody[(id * 2) + 1]);
 
-        // Data is 2 x id + 1
-        bulkQueue.push(bulkBody[(id * 2) + 1]);
+        if (stats) {
+          stats.rejected++;
+        }
       } else {
         log.error('Unrecoverable error during batch', item[actionType]);
         log.error('Source action: ', bulkBody[id * 2]);
         log.error('Source data: ', JSON.stringify(bulkBody[(id * 2) + 1]));
         unrecoverableErrors.push(item[actionType]);
+        deadLetters.push({
+          action: bulkBody[id * 2],
+          source: bulkBody[(id * 2) + 1].doc,
+          error:  item[actionType].error
+        });
       }
 
       queueSummary.errors++;
     } else {
-      queueSummary.transferred++;
-      queueSummary.tick++;
+      transferred++;
     }
   });
 
-  if (unrecoverableErrors.length > 0) {
+  retry = retry || 0;
+
+  if (unrecoverableErrors.length > 0 && !_.isFunction(deadLetterHandler)) {
     return Promise.reject(JSON.stringify(unrecoverableErrors, null, 2));
-  } else if (flushRetryCount > MAX_FLUSH_RETRY) {
-    return Promise.reject('Exceeded max flush retries');
-  } else {
-    flushRetryCount++;
+  }
+
+  // Docs that failed for good are handed over to the dead letter handler, and the bulk goes on without them
+  const deadLettered = (deadLetters.length > 0) ? deadLetterHandler(deadLetters) : null;
+
+  return Promise.resolve(deadLettered).then(()=> {
+    queueSummary.deadLettered += deadLetters.length;
 
-    return new Promise((resolve)=> {
-      const timeout = _.random(MIN_RETRY_WAIT, MAX_RETRY_WAIT);
+    if (retryBody.length === 0) {
+      return transferred;
+    } else if (retry > MAX_FLUSH_RETRY) {
+      return Promise.reject('Exceeded max flush retries');
+    }
+
+    const timeout = _.random(MIN_RETRY_WAIT, MAX_RETRY_WAIT);
 
-      log.warn(`Recoverable errors detected, sleeping ${timeout}msec and retrying...`);
+    log.warn(`Recoverable errors detected, sleeping ${timeout}msec and retrying...`);
 
-      setTimeout(()=> {
-        log.warn(`Flush retry ${flushRetryCount}`);
-        resolve(flushQueue());
-      }, timeout);
+    return Promise.delay(timeout).then(()=> {
+      log.warn(`Flush retry ${retry + 1}`);
+      return sendBulk(retryBody, retry + 1, stats);
+    }).then((retried)=> {
+      return transferred + retried;
     });
-  }
+  });
 };
 
 
 module.exports = Transfer;
-
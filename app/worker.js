@@ -1,40 +1,141 @@
+const _       = require('lodash');
 const Promise = require('bluebird');
 const cluster = require('cluster');
+const moment  = require('moment');
 
 const utils             = require('../config/utils');
 const Transfer          = require('./transfer');
 const Manager           = require('./manager');
+const autoscaler        = require('./autoscaler');
+const deadLetter        = require('./deadLetter');
 const config            = require('../config');
 const createEsClient    = require('../config/elasticsearch.js');
-const createRedisClient = require('../config/redis');
+const createStore       = require('../config/store');
 const log               = config.log;
 
 let transfer               = null;
 let manager                = null;
 let overrideProgressUpdate = null;
+let checkpointField        = null;
+let syncing                = false;
+let paused                 = false;
+let cancelled              = false;
+let autoscaleSettings      = null;
+let deadLetters            = null;
+let deadLettered           = 0;
+let standby                = false;
+let inStandby              = false;
+let pausedAt               = null;
+let maxJobPause            = null;
+
+// Turns to scroll on requested from the master, which keeps every worker of the node to the rate limits together
+const pendingTurns = {};
+let nextTurnId     = 0;
+
+// How long to wait before checking again for jobs, while other workers still have jobs in progress
+const IN_PROGRESS_WAIT = 10 * 1000;
+
+// Minimum time between saving checkpoints of a job
+const CHECKPOINT_INTERVAL = 10 * 1000;
+
+// How often a paused worker checks whether it was resumed
+const PAUSE_CHECK_INTERVAL = 5 * 1000;
+
+// Share of the scroll timeout of a job it can stay paused for. Any longer and it is requeued, as its scroll may expire.
+const MAX_PAUSE_SHARE = 0.5;
+
+// Elasticsearch durations a scroll timeout is given in, eg '1m' or '90s'
+const DURATION_REGEX = /^([0-9]+)(ms|s|m|h|d)$/;
+
+// How often a worker the master put on standby checks whether it is active again
+const STANDBY_CHECK_INTERVAL = 5 * 1000;
+
+// When autoscaling, the controller of the sizes of each index, starting from the sizes configured for it
+const sizeControllers = {};
 
 /**
  * Worker constructor
  *
  * @param sourceConfig
  * @param destConfig
+ * @param storeConfig
  * @param mutators
- * @param redisConfig
+ * @param options
  * @constructor
  */
-const Worker = function (sourceConfig, destConfig, redisConfig, mutators) {
+const Worker = function (sourceConfig, destConfig, storeConfig, mutators, options) {
   log.info(`worker created: ${process.pid}`);
   const self  = this;
   self.source = createEsClient(sourceConfig.host, sourceConfig.apiVersion);
   self.dest   = createEsClient(destConfig.host, destConfig.apiVersion);
 
   transfer = new Transfer(self.source, self.dest);
-  manager  = new Manager(self.source, createRedisClient(redisConfig.hostname, redisConfig.port));
+  options  = options || {};
+  manager  = new Manager(self.source, createStore(storeConfig), options.runId);
+
+  if (options.maxAttempts) {
+    manager.setMaxAttempts(options.maxAttempts);
+  }
+
+  transfer.setSizes(options.sizes);
+
+  if (options.deadLetter) {
+    deadLetters = new deadLetter.DeadLetter(deadLetter.getSettings(options.deadLetter), manager);
+  }
+
+  if (options.autoscale) {
+    autoscaleSettings = autoscaler.getSettings(options.autoscale);
+
+    // The master decides how many of its workers are active, the others finish their job and wait
+    process.on('message', (message)=> {
+      if (message && _.has(message, 'standby')) {
+        standby = message.standby === true;
+      }
+    });
+  }
+
+  checkpointField = utils.isNonZeroString(options.checkpointField) ? options.checkpointField : null;
+  transfer.setSortField(checkpointField);
+
+  if (!cluster.isMaster) {
+    process.on('message', (message)=> {
+      if (message && message.rateLimit && pendingTurns[message.id]) {
+        pendingTurns[message.id]();
+        delete pendingTurns[message.id];
+      }
+    });
+
+    transfer.setScrollGate(requestTurn);
+  }
+
+  transfer.setFlushGate(()=> {
+    return checkControl().then(()=> {
+      if (cancelled) {
+        return Promise.reject(new Error('transfer cancelled'));
+      } else if (paused) {
+        return Promise.reject(new Error('transfer paused for longer than its scroll is kept'));
+      }
+    });
+  });
 
   if (utils.isNonZeroString(mutators)) {
     transfer.loadMutators(mutators);
   }
 
+  if (options.sync) {
+    syncing = true;
+
+    // In sync mode the coordinator decides when to stop, and tells workers once the last round is done
+    process.on('SIGINT', ()=> {
+      log.info(`Worker: ${process.pid}: waiting for the master to stop sync`);
+    });
+    process.on('message', (message)=> {
+      if (message && message.stopSync) {
+        syncing = false;
+      }
+    });
+  }
+
   self._overrideProgresUpdate = (callback)=> {
     overrideProgressUpdate = callback;
   };
@@ -59,44 +160,331 @@ const Worker = function (sourceConfig, destConfig, redisConfig, mutators) {
  * @returns {Promise.<TResult>}
  */
 const doJob = ()=> {
-  return manager.fetchJob().then((job)=> {
-    if (job === null) {
-      log.info(`Worker: ${process.pid}: No more jobs. Complete`);
+  return checkControl().then(()=> {
+    if (cancelled) {
+      log.info(`Worker: ${process.pid}: Cancelled`);
       return Promise.resolve();
     }
 
-    // Announce that a new job is started
-    progressUpdate({
-      tick:        0,
-      transferred: 0,
+    if (standby !== inStandby) {
+      log.info(`Worker: ${process.pid}: ${standby ? 'On standby' : 'Active'}`);
+      inStandby = standby;
+    }
+
+    if (standby) {
+      return Promise.delay(STANDBY_CHECK_INTERVAL).then(doJob);
+    }
+
+    return manager.fetchJob().then((job)=> {
+      if (job === null) {
+        return waitForInProgressJobs();
+      }
+
+      return getResumePoint(job).then((checkpoint)=> {
+        return transferJob(job, checkpoint);
+      }).then(doJob);
+    });
+  });
+};
+
+/**
+ * Follow the control state of the run: wait while it is paused, and note when it is cancelled
+ *
+ * Within a job, it only waits as long as the scroll of the job is safe to keep, and resolves still paused after that.
+ *
+ * @returns {Promise.<TResult>}
+ */
+const checkControl = ()=> {
+  return manager.getControlState().then((state)=> {
+    if (state === 'cancelled') {
+      cancelled = true;
+    } else if (state === 'paused') {
+      if (!paused) {
+        log.info(`Worker: ${process.pid}: Paused`);
+        paused   = true;
+        pausedAt = Date.now();
+      }
+
+      if (!_.isNull(maxJobPause) && Date.now() - pausedAt >= maxJobPause) {
+        return Promise.resolve();
+      }
+
+      return Promise.delay(PAUSE_CHECK_INTERVAL).then(checkControl);
+    } else if (paused) {
+      log.info(`Worker: ${process.pid}: Resumed`);
+      paused = false;
+    }
+  });
+};
+
+/**
+ * Get the milliseconds of an elasticsearch duration, or 0 if it is not one
+ *
+ * @param duration
+ * @returns {Number}
+ */
+const getDuration = (duration)=> {
+  const match = DURATION_REGEX.exec(duration);
+  return match ? moment.duration(parseInt(match[1]), match[2]).asMilliseconds() : 0;
+};
+
+/**
+ * Ask the master for the turn to go on scrolling, after a page of docs taking bytes
+ *
+ * @param docs
+ * @param bytes
+ * @returns {Promise.<TResult>}
+ */
+const requestTurn = (docs, bytes)=> {
+  return new Promise((resolve)=> {
+    const id         = nextTurnId++;
+    pendingTurns[id] = resolve;
+
+    process.send({
+      rateLimit: true,
+      id:        id,
+      docs:      docs,
+      bytes:     bytes
+    });
+  });
+};
+
+/**
+ * Get the checkpoint to resume a job from, if checkpointing is enabled and the job was interrupted before
+ *
+ * @param job
+ * @returns {Promise.<TResult>}
+ */
+const getResumePoint = (job)=> {
+  if (!checkpointField) {
+    return Promise.resolve(null);
+  }
+
+  return manager.getCheckpoint(job).then((checkpoint)=> {
+    // The checkpoint is only usable if it was taken on the field currently configured
+    if (checkpoint && checkpoint.field === checkpointField) {
+      log.info(`resuming job: ${job} from checkpoint: ${JSON.stringify(checkpoint)}`);
+      return checkpoint;
+    }
+
+    return null;
+  });
+};
+
+/**
+ * Transfer all data of a job, then mark it as completed, or failed if anything went wrong
+ *
+ * @param job
+ * @param checkpoint
+ * @returns {Promise.<TResult>}
+ */
+const transferJob = (job, checkpoint)=> {
+  const previouslyTransferred = checkpoint ? checkpoint.transferred : 0;
+  const sizeController        = getSizeController(job.index);
+  let lastCheckpointTime      = moment();
+
+  transfer.setSizeOverrides(sizeController ? sizeController.getSizes() : null);
+
+  // Announce that a new job is started
+  progressUpdate({
+    tick:        0,
+    transferred: previouslyTransferred,
+    total:       job.count,
+    job:         job
+  });
+
+  // Callback is called every time the bulk queue is flushed
+  transfer.setUpdateCallback((summary)=> {
+    const update = {
+      tick:        summary.tick,
+      transferred: previouslyTransferred + summary.transferred,
       total:       job.count,
       job:         job
-    });
+    };
+
+    if (sizeController) {
+      const adjusted = sizeController.observe(summary);
+
+      if (adjusted) {
+        log.info(`Worker: ${process.pid}: autoscaling ${job.index} to bulks of ${adjusted.bulkActions}, ` +
+          `${adjusted.bulkConcurrency} in flight`);
+        transfer.setSizeOverrides(adjusted);
+      }
+
+      update.autoscale = sizeController.getStatus();
+    }
+
+    if (deadLetters) {
+      update.deadLettered = deadLettered;
+    }
+
+    progressUpdate(update);
 
-    // Callback is called every time the bulk queue is flushed
-    transfer.setUpdateCallback((summary)=> {
-      progressUpdate({
-        tick:        summary.tick,
-        transferred: summary.transferred,
-        total:       job.count,
-        job:         job
+    if (summary.checkpoint && moment().diff(lastCheckpointTime) >= CHECKPOINT_INTERVAL) {
+      lastCheckpointTime = moment();
+
+      manager.saveCheckpoint(job, _.assign({
+        transferred: previouslyTransferred + summary.transferred
+      }, summary.checkpoint)).catch((error)=> {
+        log.error(`Error saving checkpoint for job: ${job}`, error);
       });
-    });
+    }
+  });
+
+  if (deadLetters) {
+    let failedDocs = 0;
 
-    return transfer.transferData(job.index, job.type).then(()=> {
-      return manager.completeJob(job);
-    }).catch((error)=> {
-      const message = `Error: ${JSON.stringify(error)} while processing job: ${JSON.stringify(job)}`;
-      progressUpdate({
-        message: message,
-        level:   'error'
+    // Docs the destination failed for good are set aside, until there are more of them than the job tolerates
+    transfer.setDeadLetterHandler((failed)=> {
+      failedDocs += failed.length;
+
+      if (failedDocs > deadLetters.tolerance) {
+        return Promise.reject(new Error(`${failedDocs} docs failed, more than the dead letter tolerance of ` +
+          `${deadLetters.tolerance} per job`));
+      }
+
+      log.warn(`Worker: ${process.pid}: dead-lettering ${failed.length} docs of job: ${job}`);
+
+      return deadLetters.write(_.map(failed, (entry)=> {
+        return _.assign({job: JSON.parse(job.getID())}, entry);
+      })).then((written)=> {
+        // Reported with the progress, as the total this worker set aside during the run
+        deadLettered += written;
       });
-      log.error(message);
+    });
+  }
 
-      // Requeue entire job on error
-      manager.queueJob(job);
-      return Promise.resolve();
-    }).then(doJob);
+  const resumeFrom = checkpoint ? {
+    field: checkpoint.field,
+    value: checkpoint.sort[0]
+  } : undefined;
+
+  const stopLease = manager.keepLease(job);
+  maxJobPause     = getDuration(transfer.getSizes(job.index).scrollTimeout) * MAX_PAUSE_SHARE;
+
+  return transfer.transferData(job.index, job.type, job.getSearchBody(resumeFrom), job.getSearchParams()).then(()=> {
+    maxJobPause = null;
+    return reconcileJob(job);
+  }).then(()=> {
+    stopLease();
+    return manager.completeJob(job);
+  }).catch((error)=> {
+    stopLease();
+    maxJobPause = null;
+
+    if (cancelled) {
+      log.info(`Worker: ${process.pid}: Requeueing job: ${job} after cancel`);
+      return manager.requeueJob(job);
+    }
+
+    // Its scroll may have expired, which is no fault of the job, so this is not counted as an attempt
+    if (paused) {
+      log.info(`Worker: ${process.pid}: Requeueing job: ${job}, paused for longer than its scroll is kept`);
+      return manager.requeueJob(job);
+    }
+
+    const message = `Error: ${JSON.stringify(error)} while processing job: ${JSON.stringify(job)}`;
+    progressUpdate({
+      message: message,
+      level:   'error'
+    });
+    log.error(message);
+
+    // Requeue entire job on error, until it has failed too many times
+    return manager.failJob(job, error);
+  });
+};
+
+/**
+ * Get the size controller of an index when autoscaling, created from the sizes configured for it the first time
+ *
+ * @param index
+ * @returns {*}
+ */
+const getSizeController = (index)=> {
+  if (!autoscaleSettings) {
+    return null;
+  }
+
+  if (!_.has(sizeControllers, index)) {
+    sizeControllers[index] = new autoscaler.SizeController(autoscaleSettings, transfer.getSizes(index));
+  }
+
+  return sizeControllers[index];
+};
+
+/**
+ * Compare the count of a transferred job in the source and the destination, and save the result.
+ *
+ * The job is verified if they match, a mismatch if they don't, and unverifiable if it can't be counted in the
+ * destination. Reconciling never fails the job itself.
+ *
+ * @param job
+ * @returns {Promise.<TResult>}
+ */
+const reconcileJob = (job)=> {
+  return Promise.try(()=> {
+    // Shards and slices of the source don't line up with those of the destination
+    if (!_.isUndefined(job.shard) || job.slice) {
+      return {
+        status: 'unverifiable',
+        reason: 'docs of a shard or slice cannot be counted in the destination'
+      };
+    }
+
+    return transfer.reconcileData(job.index, job.type, job.getQueryBody(), job.getSearchParams()).then((counts)=> {
+      return _.assign({status: (counts.source === counts.dest) ? 'verified' : 'mismatch'}, counts);
+    });
+  }).catch((error)=> {
+    log.warn(`Error reconciling job: ${job}`, error);
+
+    return {
+      status: 'unverifiable',
+      reason: (error && error.message) ? error.message : String(error)
+    };
+  }).then((reconciliation)=> {
+    if (reconciliation.status === 'mismatch') {
+      log.warn(`Job: ${job} count mismatch, source: ${reconciliation.source} dest: ${reconciliation.dest}`);
+    }
+
+    return manager.saveReconciliation(job, reconciliation);
+  }).catch((error)=> {
+    log.error(`Error saving reconciliation of job: ${job}`, error);
+  });
+};
+
+/**
+ * The queue is empty, but jobs still in progress elsewhere may be requeued if their worker dies.
+ *
+ * Keep requeueing expired jobs and waiting, until there is something to do or nothing is left in progress.
+ *
+ * @returns {Promise.<TResult>}
+ */
+const waitForInProgressJobs = ()=> {
+  return manager.requeueExpiredJobs().then((requeued)=> {
+    if (requeued > 0) {
+      return doJob();
+    }
+
+    return manager.getInProgressCount().then((inProgress)=> {
+      if (inProgress === 0 && syncing) {
+        // Wait for the coordinator to plan the next round, unless it stopped syncing
+        return manager.isSyncStopped().then((stopped)=> {
+          if (stopped) {
+            syncing = false;
+            return doJob();
+          }
+
+          return Promise.delay(IN_PROGRESS_WAIT).then(doJob);
+        });
+      } else if (inProgress === 0) {
+        log.info(`Worker: ${process.pid}: No more jobs. Complete`);
+        return Promise.resolve();
+      }
+
+      log.info(`Worker: ${process.pid}: Waiting on ${inProgress} jobs in progress`);
+      return Promise.delay(IN_PROGRESS_WAIT).then(doJob);
+    });
   });
 };
 
@@ -0,0 +1,2 @@
+#!/usr/bin/env node
+require('../app/cli').main(process.argv);
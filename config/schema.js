@@ -0,0 +1,229 @@
+/**
+ * Schema of the configuration accepted by index.js, used to sanitize and validate it with schema-inspector.
+ *
+ * The CLI also builds its run options from it, so every option here can be passed as a flag.
+ */
+const SCHEMA = {
+  type:       'object',
+  properties: {
+    source:           {
+      type:       'object',
+      properties: {
+        host:       {
+          type:      'string',
+          minLength: 3
+        },
+        apiVersion: {
+          type:      'string',
+          minLength: 3
+        }
+      }
+    },
+    destination:      {
+      type:       'object',
+      properties: {
+        host:       {
+          type:      'string',
+          minLength: 3
+        },
+        apiVersion: {
+          type:      'string',
+          minLength: 3
+        }
+      }
+    },
+    redis:            {
+      type:     'object',
+      optional: true,
+      hostname: {
+        type:      'string',
+        minLength: 7,
+        maxLength: 15
+      },
+      port:     {
+        type: 'integer',
+        gt:   0,
+        lte:  65535
+      }
+    },
+    store:            {
+      type:       'object',
+      optional:   true,
+      properties: {
+        type: {
+          type: 'string',
+          eq:   [
+            'redis',
+            'file'
+          ]
+        },
+        path: {
+          type:     'string',
+          optional: true
+        }
+      }
+    },
+    runId:            {
+      type:     'string',
+      optional: true,
+      pattern:  /^[a-zA-Z0-9_\-]+$/
+    },
+    dryRun:           {
+      type:     'boolean',
+      optional: true,
+      def:      false
+    },
+    join:             {
+      type:     'boolean',
+      optional: true,
+      def:      false
+    },
+    maxAttempts:      {
+      type:     'integer',
+      optional: true,
+      gte:      1
+    },
+    checkpointField:  {
+      type:     'string',
+      optional: true
+    },
+    concurrency:      {
+      optional: true,
+      type: 'integer',
+      gte:  1,
+      def:  1
+    },
+    indices:          {
+      type: 'string',
+      optional: true
+    },
+    data:             {
+      type: 'string',
+      optional: true
+    },
+    templates:        {
+      type: 'string',
+      optional: true
+    },
+    indexComparator:  {
+      type: 'string',
+      optional: true
+    },
+    indexFilter:      {
+      type: 'string',
+      optional: true
+    },
+    typeFilter:       {
+      type: 'string',
+      optional: true
+    },
+    indexConflict:    {
+      type:     'string',
+      optional: true,
+      eq:       [
+        'fail',
+        'skip',
+        'recreate',
+        'updateMappings'
+      ]
+    },
+    templateConflict: {
+      type:     'string',
+      optional: true,
+      eq:       [
+        'fail',
+        'skip',
+        'recreate',
+        'updateMappings'
+      ]
+    },
+    upgradeMappings:  {
+      type:     'string',
+      optional: true,
+      eq:       [
+        '5.x',
+        '6.x'
+      ]
+    },
+    mutators:         {
+      type: 'string',
+      optional: true
+    },
+    splitByShard:     {
+      type:     'boolean',
+      optional: true,
+      def:      false
+    },
+    slices:           {
+      type:     [
+        'integer',
+        'string'
+      ],
+      optional: true
+    },
+    since:            {
+      type:     [
+        'string',
+        'object'
+      ],
+      optional: true
+    },
+    query:            {
+      type:     'object',
+      optional: true
+    },
+    queries:          {
+      type:     'object',
+      optional: true
+    },
+    sizes:            {
+      type:     'object',
+      optional: true
+    },
+    autoscale:        {
+      type:     'object',
+      optional: true
+    },
+    rateLimits:       {
+      type:     'object',
+      optional: true
+    },
+    deadLetter:       {
+      type:     'object',
+      optional: true
+    },
+    sync:             {
+      type:     'boolean',
+      optional: true,
+      def:      false
+    },
+    syncInterval:     {
+      type:     'integer',
+      optional: true,
+      gte:      1
+    },
+    partition:        {
+      type:       'object',
+      optional:   true,
+      properties: {
+        field:    {
+          type:      'string',
+          minLength: 1
+        },
+        interval: {
+          type:     [
+            'number',
+            'string'
+          ],
+          optional: true
+        },
+        ranges:   {
+          type:     'array',
+          optional: true
+        }
+      }
+    }
+  }
+};
+
+module.exports = SCHEMA;
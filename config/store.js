@@ -0,0 +1,20 @@
+const createRedisClient = require('./redis');
+const FileStore         = require('../app/fileStore');
+
+/**
+ * Create the state store used to coordinate jobs.
+ *
+ * Either a file store when the config is {type: 'file', path: '...'}, or a redis client for {hostname, port}.
+ *
+ * @param storeConfig
+ * @returns {*}
+ */
+const createStore = (storeConfig)=> {
+  if (storeConfig.type === 'file') {
+    return new FileStore(storeConfig.path);
+  }
+
+  return createRedisClient(storeConfig.hostname, storeConfig.port);
+};
+
+module.exports = createStore;
@@ -13,7 +13,20 @@ const isNonZeroString = (input) => {
   return _.isString(input) && input.length > 0;
 };
 
+/**
+ * Whether a name matches a pattern where '*' matches any characters, as in elasticsearch index patterns
+ *
+ * @param name
+ * @param pattern
+ * @returns {boolean}
+ */
+const matchesPattern = (name, pattern) => {
+  const regex = new RegExp(`^${_.map(pattern.split('*'), _.escapeRegExp).join('.*')}$`);
+  return regex.test(name);
+};
+
 module.exports = {
   parsePath:       parsePath,
-  isNonZeroString: isNonZeroString
+  isNonZeroString: isNonZeroString,
+  matchesPattern:  matchesPattern
 };
\ No newline at end of file
@@ -1,90 +1,13 @@
 /*eslint no-process-env: "off" */
 const cluster   = require('cluster');
 const path      = require('path');
+const Promise   = require('bluebird');
 const Master    = require('./app/master');
 const Worker    = require('./app/worker');
 const utils     = require('./config/utils');
 const log       = require('./config').log;
 const inspector = require('schema-inspector');
-
-const SCHEMA = {
-  type:       'object',
-  properties: {
-    source:          {
-      type:       'object',
-      properties: {
-        host:       {
-          type:      'string',
-          minLength: 3
-        },
-        apiVersion: {
-          type:      'string',
-          minLength: 3
-        }
-      }
-    },
-    destination:     {
-      type:       'object',
-      properties: {
-        host:       {
-          type:      'string',
-          minLength: 3
-        },
-        apiVersion: {
-          type:      'string',
-          minLength: 3
-        }
-      }
-    },
-    redis:           {
-      type:     'object',
-      hostname: {
-        type:      'string',
-        minLength: 7,
-        maxLength: 15
-      },
-      port:     {
-        type: 'integer',
-        gt:   0,
-        lte:  65535
-      }
-    },
-    concurrency:     {
-      optional: true,
-      type: 'integer',
-      gte:  1,
-      def:  1
-    },
-    indices:         {
-      type: 'string',
-      optional: true
-    },
-    data:            {
-      type: 'string',
-      optional: true
-    },
-    templates:       {
-      type: 'string',
-      optional: true
-    },
-    indexComparator: {
-      type: 'string',
-      optional: true
-    },
-    indexFilter:     {
-      type: 'string',
-      optional: true
-    },
-    typeFilter:      {
-      type: 'string',
-      optional: true
-    },
-    mutators:        {
-      type: 'string',
-      optional: true
-    }
-  }
-};
+const SCHEMA    = require('./config/schema');
 
 const create = (configuration)=> {
   inspector.sanitize(SCHEMA, configuration);
@@ -94,6 +17,24 @@ const create = (configuration)=> {
     throw new Error(result.format());
   }
 
+  const storeConfig = (configuration.store && configuration.store.type === 'file') ? configuration.store : configuration.redis;
+
+  if (!storeConfig) {
+    throw new Error('either redis, or a store of type file must be configured');
+  }
+
+  if (storeConfig.type === 'file') {
+    if (!utils.isNonZeroString(storeConfig.path)) {
+      throw new Error('a store of type file must have a path');
+    }
+
+    storeConfig.path = utils.parsePath(storeConfig.path);
+
+    if (configuration.join) {
+      throw new Error('joining a run requires a redis store, a store of type file cannot be shared between nodes');
+    }
+  }
+
   if (configuration.indexComparator && path.extname(configuration.indexComparator) === '.js') {
     configuration.indexComparator = utils.parsePath(configuration.indexComparator);
   }
@@ -112,11 +53,16 @@ const create = (configuration)=> {
 
   if (cluster.isMaster) {
     log.info('Started with configuration. ', configuration);
-    const master = new Master(configuration.source, configuration.destination, configuration.redis);
-    master.start(configuration);
+    const master = new Master(configuration.source, configuration.destination, storeConfig, configuration.runId);
+    return Promise.try(()=> {
+      return master.start(configuration);
+    }).catch((error)=> {
+      log.error('Error starting the run: ', error);
+      process.exit(1);
+    });
   } else {
     const workerConfig = JSON.parse(process.env.WORKER_CONFIG);
-    const worker = new Worker(workerConfig.source, workerConfig.destination, workerConfig.redis, workerConfig.mutators);
+    const worker = new Worker(workerConfig.source, workerConfig.destination, storeConfig, workerConfig.mutators, workerConfig);
     worker.start(true);
   }
 };
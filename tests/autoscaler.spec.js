@@ -0,0 +1,123 @@
+/*eslint no-magic-numbers: "off"*/
+const _          = require('lodash');
+const expect     = require('chai').expect;
+const autoscaler = require('../app/autoscaler');
+
+describe('autoscaler', () => {
+  const observeBulks = (controller, count, summary)=> {
+    return _.last(_.times(count, ()=> {
+      return controller.observe(summary);
+    }));
+  };
+
+  it('should merge configured bounds with the defaults', ()=> {
+    const settings = autoscaler.getSettings({
+      workers:        {max: 6},
+      maxBulkLatency: 2000
+    });
+
+    expect(settings.workers).to.eql({
+      min: 1,
+      max: 6
+    });
+    expect(settings.bulkConcurrency).to.eql({
+      min: 1,
+      max: 4
+    });
+    expect(settings.maxBulkLatency).to.eql(2000);
+  });
+
+  it('should reject invalid settings', ()=> {
+    expect(()=> {
+      autoscaler.getSettings({bulkSize: {max: 10}});
+    }).to.throw(/autoscale: 'bulkSize' not one of/);
+
+    expect(()=> {
+      autoscaler.getSettings({workers: {min: 4, max: 2}});
+    }).to.throw(/autoscale: workers must be {min, max} of integers gte 1, with min lte max/);
+
+    expect(()=> {
+      autoscaler.getSettings({maxRejectionRate: -1});
+    }).to.throw(/autoscale: maxRejectionRate must be a number gt 0/);
+  });
+
+  it('should grow the bulk size, then the bulks in flight, without pressure', ()=> {
+    const settings   = autoscaler.getSettings({
+      bulkActions:     {min: 10, max: 120},
+      bulkConcurrency: {min: 1, max: 3}
+    });
+    const controller = new autoscaler.SizeController(settings, {
+      bulkActions:     100,
+      bulkConcurrency: 1
+    });
+    const summary    = {
+      tick:          100,
+      bulkRejected:  0,
+      bulkLatency:   50,
+      scrollLatency: 20
+    };
+
+    expect(observeBulks(controller, 4, summary)).to.be.null;
+    expect(observeBulks(controller, 1, summary)).to.eql({
+      bulkActions:     120,
+      bulkConcurrency: 1
+    });
+    expect(observeBulks(controller, 5, summary)).to.eql({
+      bulkActions:     120,
+      bulkConcurrency: 2
+    });
+    expect(controller.getStatus()).to.include({
+      bulkLatency:   50,
+      scrollLatency: 20,
+      rejectionRate: 0,
+      pressure:      null
+    });
+  });
+
+  it('should shrink the bulks in flight, then the bulk size, on rejections', ()=> {
+    const controller = new autoscaler.SizeController(autoscaler.getSettings({}), {
+      bulkActions:     200,
+      bulkConcurrency: 2
+    });
+    const summary    = {
+      tick:         90,
+      bulkRejected: 10,
+      bulkLatency:  50
+    };
+
+    expect(observeBulks(controller, 5, summary)).to.eql({
+      bulkActions:     200,
+      bulkConcurrency: 1
+    });
+    expect(observeBulks(controller, 5, summary)).to.eql({
+      bulkActions:     100,
+      bulkConcurrency: 1
+    });
+    expect(controller.getStatus()).to.include({
+      rejectionRate: 0.1,
+      pressure:      'destination'
+    });
+  });
+
+  it('should hold sizes on slow scrolls, and take workers off when any is under pressure', ()=> {
+    const settings   = autoscaler.getSettings({maxScrollLatency: 1000});
+    const controller = new autoscaler.SizeController(settings, {
+      bulkActions:     100,
+      bulkConcurrency: 1
+    });
+
+    expect(observeBulks(controller, 5, {
+      tick:          100,
+      bulkLatency:   50,
+      scrollLatency: 3000
+    })).to.be.null;
+
+    const statuses = [controller.getStatus(), {pressure: null}];
+    expect(statuses[0].pressure).to.eql('source');
+
+    expect(autoscaler.getActiveWorkers(3, statuses, settings, 4)).to.eql(2);
+    expect(autoscaler.getActiveWorkers(1, statuses, settings, 4)).to.eql(1);
+    expect(autoscaler.getActiveWorkers(3, [{pressure: null}], settings, 4)).to.eql(4);
+    expect(autoscaler.getActiveWorkers(4, [], settings, 4)).to.eql(4);
+  });
+});
@@ -0,0 +1,73 @@
+/*eslint no-magic-numbers: "off"*/
+const expect = require('chai').expect;
+const cli    = require('../app/cli');
+
+describe('cli', () => {
+  const argv = (args)=> {
+    return ['node', 'multi-reindex'].concat(args);
+  };
+
+  it('should build a run configuration from flags', ()=> {
+    const configuration = cli.parseRunOptions(argv([
+      '--source', 'localhost:9200',
+      '--sourceVersion', '1.4',
+      '--dest', 'localhost:9201',
+      '--destVersion', '2.2',
+      '--redis', 'redishost:6380',
+      '-d', 'logs-*',
+      '-c', '3',
+      '--splitByShard',
+      '--slices', 'auto',
+      '--partition', '{"field":"date","interval":"1d"}',
+      '--since', 'updated_at'
+    ]));
+
+    expect(configuration).to.eql({
+      source:       {
+        host:       'localhost:9200',
+        apiVersion: '1.4'
+      },
+      destination:  {
+        host:       'localhost:9201',
+        apiVersion: '2.2'
+      },
+      redis:        {
+        hostname: 'redishost',
+        port:     6380
+      },
+      data:         'logs-*',
+      concurrency:  3,
+      splitByShard: true,
+      slices:       'auto',
+      partition:    {
+        field:    'date',
+        interval: '1d'
+      },
+      since:        'updated_at'
+    });
+  });
+
+  it('should use a file store and default to local redis', ()=> {
+    expect(cli.parseRunOptions(argv(['--store', './state.log', '--slices', '4'])))
+      .to.eql({
+        store:  {
+          type: 'file',
+          path: './state.log'
+        },
+        slices: 4
+      });
+
+    expect(cli.parseRunOptions(argv(['-r', 'my-run'])).redis).to.eql({
+      hostname: 'localhost',
+      port:     6379
+    });
+  });
+
+  it('should reject invalid JSON', ()=> {
+    const throws = ()=> {
+      cli.parseRunOptions(argv(['--query', '{term: 1}']));
+    };
+
+    expect(throws).to.throw(/query must be valid JSON/);
+  });
+});
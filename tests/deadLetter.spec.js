@@ -0,0 +1,108 @@
+/*eslint no-magic-numbers: "off"*/
+const expect     = require('chai').expect;
+const _          = require('lodash');
+const fs         = require('fs');
+const os         = require('os');
+const path       = require('path');
+const deadLetter = require('../app/deadLetter');
+const FileStore  = require('../app/fileStore');
+const Manager    = require('../app/manager');
+
+describe('dead letter', () => {
+  const filePath  = path.join(os.tmpdir(), `multi-reindex-dead-letter-${process.pid}.ndjson`);
+  const storePath = path.join(os.tmpdir(), `multi-reindex-dead-letter-store-${process.pid}.log`);
+
+  const entries = [
+    {
+      job:    {index: 'index1', type: 'type1'},
+      action: {update: {_index: 'index1', _type: 'type1', _id: '1'}},
+      source: {field1: 'a'},
+      error:  {type: 'mapper_parsing_exception'}
+    },
+    {
+      job:    {index: 'index1', type: 'type1'},
+      action: {update: {_index: 'index1', _type: 'type1', _id: '2'}},
+      source: {field1: 'b'},
+      error:  {type: 'mapper_parsing_exception'}
+    }
+  ];
+
+  const removeFiles = ()=> {
+    [filePath, storePath].forEach((target)=> {
+      if (fs.existsSync(target)) {
+        fs.unlinkSync(target);
+      }
+    });
+  };
+
+  beforeEach(removeFiles);
+
+  it('should default the tolerance and reject invalid settings', ()=> {
+    expect(deadLetter.getSettings({type: 'store'})).to.eql({
+      type:      'store',
+      path:      null,
+      tolerance: 100
+    });
+
+    expect(()=> {
+      deadLetter.getSettings({type: 'redis'});
+    }).to.throw(/deadLetter: type 'redis' must be one of: \[file,store\]/);
+
+    expect(()=> {
+      deadLetter.getSettings({type: 'file'});
+    }).to.throw(/deadLetter: path must be string with length, for type file/);
+
+    expect(()=> {
+      deadLetter.getSettings({type: 'store', tolerance: -1});
+    }).to.throw(/deadLetter: tolerance must be an integer gte 0/);
+  });
+
+  it('should append entries to an NDJSON file', (done)=> {
+    const manager = new Manager(null, new FileStore(storePath));
+    const letters = new deadLetter.DeadLetter(deadLetter.getSettings({
+      type: 'file',
+      path: filePath
+    }), manager);
+
+    letters.write(entries).then((written)=> {
+      expect(written).to.eql(2);
+      return letters.write([entries[0]]);
+    }).then((written)=> {
+      // Already written by its job, eg by an earlier attempt
+      expect(written).to.eql(0);
+      return letters.write([_.assign({}, entries[0], {job: {index: 'index2', type: 'type1'}})]);
+    }).then((written)=> {
+      expect(written).to.eql(1);
+
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+      expect(lines.length).to.eql(3);
+      expect(JSON.parse(lines[1])).to.eql(entries[1]);
+      expect(letters.describe()).to.eql(filePath);
+      done();
+    }).catch(done);
+  });
+
+  it('should push entries to the store of the run', (done)=> {
+    const manager = new Manager(null, new FileStore(storePath));
+    const letters = new deadLetter.DeadLetter(deadLetter.getSettings({type: 'store'}), manager);
+
+    letters.write(entries).then(()=> {
+      return letters.write(entries);
+    }).then(()=> {
+      return manager.getDeadLetterCount();
+    }).then((count)=> {
+      expect(count).to.eql(2);
+      return manager.getDeadLetters();
+    }).then((deadLetters)=> {
+      expect(deadLetters).to.eql(entries);
+      return manager.clearDeadLetters();
+    }).then(()=> {
+      return letters.write(entries);
+    }).then((written)=> {
+      expect(written).to.eql(2);
+      done();
+    }).catch(done);
+  });
+
+  after(removeFiles);
+});
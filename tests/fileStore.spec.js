@@ -0,0 +1,296 @@
+/*eslint no-magic-numbers: "off"*/
+const expect    = require('chai').expect;
+const cluster   = require('cluster');
+const fs        = require('fs');
+const os        = require('os');
+const path      = require('path');
+const FileStore = require('../app/fileStore');
+const Manager   = require('../app/manager');
+const config    = require('../config');
+
+const log = config.log;
+
+const Promise = require('bluebird');
+Promise.longStackTraces();
+Promise.onPossiblyUnhandledRejection((error) => {
+  log.error('Likely error: ', error.stack);
+});
+
+// Every test opens stores of its own, which each listen for the commands of workers
+cluster.setMaxListeners(20);
+
+describe('file store', () => {
+  const filePath = path.join(os.tmpdir(), `multi-reindex-test-${process.pid}.log`);
+
+  let store = null;
+
+  beforeEach(()=> {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+
+    store = new FileStore(filePath);
+  });
+
+  it('should require a path', ()=> {
+    const throws = ()=> {
+      new FileStore();
+    };
+
+    expect(throws).to.throw(/file store path must be string with length/);
+  });
+
+  it('should not write the file until changed', (done)=> {
+    expect(fs.existsSync(filePath)).to.be.false;
+
+    store.hgetall('hash').then((hash)=> {
+      expect(hash).to.eql({});
+      expect(fs.existsSync(filePath)).to.be.false;
+      done();
+    }).catch(done);
+  });
+
+  it('should push and pop lists in order', (done)=> {
+    store.rpush('list', 'a').then((length)=> {
+      expect(length).to.eql(1);
+      return store.rpush('list', 'b', 'c');
+    }).then((length)=> {
+      expect(length).to.eql(3);
+      return store.lpop('list');
+    }).then((value)=> {
+      expect(value).to.eql('a');
+      return store.lpop('list');
+    }).then((value)=> {
+      expect(value).to.eql('b');
+      return store.lpop('list');
+    }).then((value)=> {
+      expect(value).to.eql('c');
+      return store.lpop('list');
+    }).then((value)=> {
+      expect(value).to.be.null;
+      done();
+    }).catch(done);
+  });
+
+  it('should move values between lists', (done)=> {
+    store.lpush('list', 'a', 'b', 'c').then((length)=> {
+      expect(length).to.eql(3);
+      return store.lrange('list', 0, -1);
+    }).then((values)=> {
+      expect(values).to.eql(['c', 'b', 'a']);
+      return store.rpoplpush('list', 'other');
+    }).then((value)=> {
+      expect(value).to.eql('a');
+      return store.rpoplpush('list', 'other');
+    }).then(()=> {
+      return store.lrange('other', 0, -1);
+    }).then((values)=> {
+      expect(values).to.eql(['b', 'a']);
+      return store.lrem('other', 0, 'a');
+    }).then((removed)=> {
+      expect(removed).to.eql(1);
+      return store.llen('other');
+    }).then((length)=> {
+      expect(length).to.eql(1);
+      return store.rpoplpush('empty', 'other');
+    }).then((value)=> {
+      expect(value).to.be.null;
+      done();
+    }).catch(done);
+  });
+
+  it('should set, get and delete hash fields', (done)=> {
+    store.hset('hash', 'field1', 10).then((added)=> {
+      expect(added).to.eql(1);
+      return store.hset('hash', 'field1', 11);
+    }).then((added)=> {
+      expect(added).to.eql(0);
+      return store.hset('hash', 'field2', 20);
+    }).then(()=> {
+      return store.hget('hash', 'field1');
+    }).then((value)=> {
+      expect(value).to.eql('11');
+      return store.hgetall('hash');
+    }).then((hash)=> {
+      expect(hash).to.eql({field1: '11', field2: '20'});
+      return store.hsetnx('hash', 'field1', 12);
+    }).then((added)=> {
+      expect(added).to.eql(0);
+      return store.hgetall('hash');
+    }).then((hash)=> {
+      expect(hash).to.eql({field1: '11', field2: '20'});
+      return store.hvals('hash');
+    }).then((values)=> {
+      expect(values).to.eql(['11', '20']);
+      return store.hdel('hash', 'field1', 'missing');
+    }).then((removed)=> {
+      expect(removed).to.eql(1);
+      return store.hget('hash', 'field1');
+    }).then((value)=> {
+      expect(value).to.be.null;
+      return store.del('hash', 'missing');
+    }).then((removed)=> {
+      expect(removed).to.eql(1);
+      return store.hgetall('hash');
+    }).then((hash)=> {
+      expect(hash).to.eql({});
+      done();
+    }).catch(done);
+  });
+
+  it('should reject commands against the wrong type of key', (done)=> {
+    store.rpush('list', 'a').then(()=> {
+      return store.hset('list', 'field', 'value');
+    }).then(()=> {
+      done('fail');
+    }).catch((error)=> {
+      expect(error.message).to.match(/WRONGTYPE/);
+      done();
+    });
+  });
+
+  it('should run defined commands, logging the commands they call', (done)=> {
+    store.defineCommand('moveField', {
+      numberOfKeys: 2,
+      js:           (call, keys, args)=> {
+        const value = call('hget', keys[0], args[0]);
+        call('hdel', keys[0], args[0]);
+        return call('hset', keys[1], args[0], value);
+      }
+    });
+
+    store.hset('from', 'field', 'value').then(()=> {
+      return store.moveField('from', 'to', 'field');
+    }).then((added)=> {
+      expect(added).to.eql(1);
+
+      const commands = fs.readFileSync(filePath, 'utf8').trim().split('\n').map((line)=> {
+        return JSON.parse(line).command;
+      });
+      expect(commands).to.eql(['hset', 'hdel', 'hset']);
+
+      return store.hgetall('to');
+    }).then((hash)=> {
+      expect(hash).to.eql({field: 'value'});
+      done();
+    }).catch(done);
+  });
+
+  it('should apply changes appended to the file by another process', (done)=> {
+    store.hset('control', 'state', 'running').then(()=> {
+      // As the cli does to pause a run, while the master keeps its own store open
+      const other = new Manager(null, new FileStore(filePath));
+      return other.pause();
+    }).then(()=> {
+      return new Manager(null, store).getControlState();
+    }).then((state)=> {
+      expect(state).to.eql('paused');
+      return store.hset('control', 'other', 'value');
+    }).then(()=> {
+      return store.hgetall('control');
+    }).then((hash)=> {
+      expect(hash).to.eql({state: 'paused', other: 'value'});
+      done();
+    }).catch(done);
+  });
+
+  it('should reload the file once another process replaced it', (done)=> {
+    const other = new FileStore(filePath);
+
+    store.rpush('list', 'a', 'b', 'c').then(()=> {
+      return other.lpop('list');
+    }).then(()=> {
+      return other.hset('hash', 'field', 'value');
+    }).then(()=> {
+      // As the master does as it starts the run, while the cli still has the log open
+      store.compact();
+      return store.rpush('list', 'd');
+    }).then(()=> {
+      return other.lrange('list', 0, -1);
+    }).then((list)=> {
+      expect(list).to.eql(['b', 'c', 'd']);
+      return other.hdel('hash', 'field');
+    }).then(()=> {
+      return store.hgetall('hash');
+    }).then((hash)=> {
+      expect(hash).to.eql({});
+      return new FileStore(filePath).lrange('list', 0, -1);
+    }).then((list)=> {
+      // Both stores applied their changes in the order of the log
+      expect(list).to.eql(['b', 'c', 'd']);
+      done();
+    }).catch(done);
+  });
+
+  it('should restore state from the file', (done)=> {
+    store.rpush('list', 'a', 'b').then(()=> {
+      return store.lpop('list');
+    }).then(()=> {
+      return store.hset('hash', 'field', 'value');
+    }).then(()=> {
+      const restored = new FileStore(filePath);
+
+      // The log is only compacted to a single snapshot on request
+      expect(fs.readFileSync(filePath, 'utf8').trim().split('\n').length).to.eql(3);
+      restored.compact();
+      expect(fs.readFileSync(filePath, 'utf8').trim().split('\n').length).to.eql(1);
+
+      return restored.lpop('list').then((value)=> {
+        expect(value).to.eql('b');
+        return restored.hgetall('hash');
+      });
+    }).then((hash)=> {
+      expect(hash).to.eql({field: 'value'});
+      done();
+    }).catch(done);
+  });
+
+  it('should work as the job store of the manager', (done)=> {
+    const manager = new Manager(null, store);
+    const jobs    = [
+      {
+        index: 'index1',
+        type:  'type1',
+        count: 22
+      },
+      {
+        index: 'index2',
+        type:  'type1',
+        count: 15
+      }
+    ];
+
+    Promise.each(jobs, manager.queueJob).then(()=> {
+      return manager.getBacklogCount();
+    }).then((count)=> {
+      expect(count).to.eql(37);
+      return manager.fetchJob();
+    }).then((job)=> {
+      expect(job.index).to.eql('index1');
+      return manager.renewLease(job).then((renewed)=> {
+        expect(renewed).to.be.true;
+        return store.hdel('leases', job.getID());
+      }).then(()=> {
+        return manager.renewLease(job);
+      }).then((renewed)=> {
+        expect(renewed).to.be.false;
+        return manager.completeJob(job);
+      });
+    }).then(()=> {
+      return manager.getCompletedCount();
+    }).then((count)=> {
+      expect(count).to.eql(22);
+      return manager.getBacklogJobs();
+    }).then((backlog)=> {
+      expect(backlog.length).to.eql(1);
+      expect(backlog[0].index).to.eql('index2');
+      done();
+    }).catch(done);
+  });
+
+  after(()=> {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+});
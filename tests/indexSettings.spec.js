@@ -0,0 +1,69 @@
+/*eslint no-magic-numbers: "off"*/
+const expect        = require('chai').expect;
+const indexSettings = require('../app/indexSettings');
+
+describe('index settings', () => {
+  const createIndex = ()=> {
+    return {
+      name:     'index1',
+      settings: {
+        index: {
+          uuid:               'abc',
+          creation_date:      '1463073200000',
+          number_of_shards:   '5',
+          number_of_replicas: '1',
+          version:            {
+            created: '1040199'
+          },
+          legacy:             {
+            routing: {
+              hash: {
+                type: 'DjbHashFunction'
+              }
+            }
+          },
+          'cache.query.enable': 'true'
+        }
+      }
+    };
+  };
+
+  it('should drop private and removed settings, and report them', ()=> {
+    const index   = createIndex();
+    const dropped = indexSettings.sanitizeIndex(index, '1.4', '5.x');
+
+    expect(dropped).to.eql([
+      'index.uuid',
+      'index.creation_date',
+      'index.version.created',
+      'index.legacy.routing.hash.type',
+      'index.cache.query.enable'
+    ]);
+    expect(index.settings.index).to.eql({
+      number_of_shards:   '5',
+      number_of_replicas: '1'
+    });
+  });
+
+  it('should keep settings still supported by the destination version', ()=> {
+    const index   = createIndex();
+    const dropped = indexSettings.sanitizeIndex(index, '1.4', '2.2');
+
+    expect(dropped).to.eql([
+      'index.uuid',
+      'index.creation_date',
+      'index.version.created',
+      'index.legacy.routing.hash.type'
+    ]);
+    expect(index.settings.index['cache.query.enable']).to.eql('true');
+  });
+
+  it('should only drop private settings when a version is unknown', ()=> {
+    expect(indexSettings.getNonPortableSettings('1.4', undefined)).to.not.include('cache.query.enable');
+    expect(indexSettings.getNonPortableSettings('1.4', 'master')).to.include('mapping.single_type');
+  });
+
+  it('should leave an index without settings alone', ()=> {
+    expect(indexSettings.sanitizeIndex({name: 'index1'}, '1.4', '2.2')).to.eql([]);
+  });
+});
@@ -5,6 +5,7 @@ const config            = require('../config');
 const createEsClient    = require('../config/elasticsearch.js');
 const createRedisClient = require('../config/redis');
 const _                 = require('lodash');
+const moment            = require('moment');
 
 const log = config.log;
 
@@ -892,6 +893,798 @@ describe('job manager', () => {
     });
   });
 
+  const addNumberedData = (client)=> {
+    const body = [];
+
+    _.times(10, (n)=> {
+      body.push({
+        index: {
+          _index: 'numbered',
+          _type:  'numberedtype'
+        }
+      });
+      body.push({number: n});
+    });
+
+    body.push({
+      index: {
+        _index: 'numbered',
+        _type:  'numberedtype'
+      }
+    });
+    body.push({somethingElse: 'no number'});
+
+    return client.bulk({
+      refresh: true,
+      body:    body
+    });
+  };
+
+  it('should plan and count jobs without queueing them', (done)=> {
+    addNumberedData(source).then(()=> {
+      return manager.planJobs('numbered');
+    }).then((jobs)=> {
+      expect(jobs.length).to.eql(1);
+      expect(jobs[0].index).to.eql('numbered');
+      expect(jobs[0].count).to.eql(11);
+      return manager.getBacklogJobs();
+    }).then((backlog)=> {
+      expect(backlog).to.eql([]);
+      done();
+    }).catch(done);
+  });
+
+  it('should partition jobs by numeric interval', (done)=> {
+    manager.setPartition({
+      field:    'number',
+      interval: 4
+    });
+
+    addNumberedData(source).then(()=> {
+      return manager.prepareNewJobs('numbered');
+    }).then((jobs)=> {
+      expect(jobs.length).to.eql(4);
+      expect(jobs[0].range).to.eql({field: 'number', gte: 0, lt: 4});
+      expect(jobs[1].range).to.eql({field: 'number', gte: 4, lt: 8});
+      expect(jobs[2].range).to.eql({field: 'number', gte: 8});
+      expect(jobs[3].range).to.eql({field: 'number', missing: true});
+
+      return manager._addCountToJobs(jobs);
+    }).then((jobsWithCount)=> {
+      expect(_.map(jobsWithCount, 'count')).to.eql([4, 4, 2, 1]);
+      done();
+    }).catch(done);
+  });
+
+  it('should partition jobs by explicit ranges', (done)=> {
+    manager.setPartition({
+      field:  'number',
+      ranges: [
+        {lt: 5},
+        {gte: 5}
+      ]
+    });
+
+    addNumberedData(source).then(()=> {
+      return manager.prepareNewJobs('numbered');
+    }).then((jobs)=> {
+      expect(jobs.length).to.eql(3);
+      expect(jobs[0].range).to.eql({field: 'number', lt: 5});
+      expect(jobs[1].range).to.eql({field: 'number', gte: 5});
+      expect(jobs[2].range).to.eql({field: 'number', missing: true});
+
+      return manager._addCountToJobs(jobs);
+    }).then((jobsWithCount)=> {
+      expect(_.map(jobsWithCount, 'count')).to.eql([5, 5, 1]);
+      done();
+    }).catch(done);
+  });
+
+  it('should reject invalid partitions', ()=> {
+    let throws = ()=> {
+      manager.setPartition({interval: 10});
+    };
+    expect(throws).to.throw(/partition must be an object with a field/);
+
+    throws = ()=> {
+      manager.setPartition({field: 'number', interval: 'often'});
+    };
+    expect(throws).to.throw(/must be a number gt 0 or a duration like '1d'/);
+
+    throws = ()=> {
+      manager.setPartition({field: 'number', interval: 0});
+    };
+    expect(throws).to.throw(/must be a number gt 0 or a duration like '1d'/);
+  });
+
+  it('should only plan docs since the last high-water mark', (done)=> {
+    manager.setSince('number');
+
+    addNumberedData(source).then(()=> {
+      return manager.initialize('numbered');
+    }).then(()=> {
+      return manager.getBacklogJobs();
+    }).then((jobs)=> {
+      // Nothing recorded yet, so everything is transferred
+      expect(jobs.length).to.eql(1);
+      expect(jobs[0].since).to.be.undefined;
+      expect(jobs[0].count).to.eql(11);
+      return manager.commitHighWaterMarks();
+    }).then((committed)=> {
+      expect(committed).to.eql(1);
+      return manager.getHighWaterMarks();
+    }).then((marks)=> {
+      expect(marks).to.eql([
+        {
+          index: 'numbered',
+          type:  'numberedtype',
+          field: 'number',
+          value: 9
+        }
+      ]);
+      return manager.initialize('numbered');
+    }).then(()=> {
+      return manager.getBacklogJobs();
+    }).then((jobs)=> {
+      expect(jobs.length).to.eql(1);
+      expect(jobs[0].since).to.eql({field: 'number', gte: 9});
+      expect(jobs[0].count).to.eql(1);
+      done();
+    }).catch(done);
+  });
+
+  it('should report the lag behind the source since the last high-water mark', (done)=> {
+    manager.setSince('number');
+
+    addNumberedData(source).then(()=> {
+      return manager.initialize('numbered');
+    }).then(()=> {
+      return manager.getLag();
+    }).then((lags)=> {
+      expect(lags.length).to.eql(1);
+      expect(lags[0].newest).to.eql(9);
+      expect(lags[0].lag).to.be.null;
+      return manager.commitHighWaterMarks();
+    }).then(()=> {
+      return addNumberedData(source);
+    }).then(()=> {
+      return manager.getLag();
+    }).then((lags)=> {
+      // The same numbers were added again, so nothing newer than the mark exists
+      expect(lags[0].transferred).to.eql(9);
+      expect(lags[0].lag).to.eql(0);
+      done();
+    }).catch(done);
+  });
+
+  it('should request and clear a cutover', (done)=> {
+    manager.isCutoverRequested().then((requested)=> {
+      expect(requested).to.be.false;
+      return manager.requestCutover();
+    }).then(()=> {
+      return manager.isCutoverRequested();
+    }).then((requested)=> {
+      expect(requested).to.be.true;
+      return manager.resetSync();
+    }).then(()=> {
+      return manager.isCutoverRequested();
+    }).then((requested)=> {
+      expect(requested).to.be.false;
+      done();
+    }).catch(done);
+  });
+
+  it('should elect a single coordinator and take over from dead ones', (done)=> {
+    manager.registerNode({workers: 2}).then(()=> {
+      return manager.electCoordinator();
+    }).then((coordinator)=> {
+      expect(coordinator).to.be.true;
+      return manager.getCoordinator();
+    }).then((coordinator)=> {
+      expect(coordinator).to.eql({term: 1, owner: manager.nodeId});
+
+      // A later term claimed by a node that is alive
+      return redis.hset('nodes', 'otherhost:1', JSON.stringify({heartbeat: moment().valueOf()}));
+    }).then(()=> {
+      return redis.hset('coordinator', 2, 'otherhost:1');
+    }).then(()=> {
+      return manager.electCoordinator();
+    }).then((coordinator)=> {
+      expect(coordinator).to.be.false;
+
+      // Which then stops sending heartbeats
+      return redis.hset('nodes', 'otherhost:1', JSON.stringify({heartbeat: 0}));
+    }).then(()=> {
+      return manager.electCoordinator();
+    }).then((coordinator)=> {
+      expect(coordinator).to.be.true;
+      return manager.getCoordinator();
+    }).then((coordinator)=> {
+      expect(coordinator).to.eql({term: 3, owner: manager.nodeId});
+      return manager.removeDeadNodes();
+    }).then((removed)=> {
+      expect(removed).to.eql(1);
+      return manager.getNodes();
+    }).then((nodes)=> {
+      expect(nodes.length).to.eql(1);
+      expect(nodes[0].id).to.eql(manager.nodeId);
+      expect(nodes[0].workers).to.eql(2);
+      expect(nodes[0].alive).to.be.true;
+      done();
+    }).catch(done);
+  });
+
+  it('should pause, resume and cancel the run', (done)=> {
+    manager.getControlState().then((state)=> {
+      expect(state).to.eql('running');
+      return manager.pause();
+    }).then(()=> {
+      return manager.getControlState();
+    }).then((state)=> {
+      expect(state).to.eql('paused');
+      return manager.cancel();
+    }).then(()=> {
+      return manager.getControlState();
+    }).then((state)=> {
+      expect(state).to.eql('cancelled');
+      return manager.resume();
+    }).then(()=> {
+      return manager.getControlState();
+    }).then((state)=> {
+      expect(state).to.eql('running');
+      done();
+    }).catch(done);
+  });
+
+  it('should set and get the rate limits of the run', (done)=> {
+    manager.getRateLimits().then((limits)=> {
+      expect(limits).to.eql({});
+      return manager.setRateLimits({docsPerSecond: 500});
+    }).then(()=> {
+      return manager.getRateLimits();
+    }).then((limits)=> {
+      expect(limits).to.eql({docsPerSecond: 500});
+      expect(()=> {
+        manager.setRateLimits({docsPerSecond: 0});
+      }).to.throw(/rate limits: docsPerSecond must be a number gt 0/);
+      return manager.setRateLimits(null);
+    }).then(()=> {
+      return manager.getRateLimits();
+    }).then((limits)=> {
+      expect(limits).to.eql({});
+      done();
+    }).catch(done);
+  });
+
+  it('should push, get and clear dead-lettered docs', (done)=> {
+    const entries = [
+      {
+        job:    {index: 'index1', type: 'type1'},
+        action: {update: {_index: 'index1', _type: 'type1', _id: '1'}},
+        source: {field1: 'a'},
+        error:  {type: 'mapper_parsing_exception'}
+      },
+      {
+        job:    {index: 'index1', type: 'type1'},
+        action: {update: {_index: 'index1', _type: 'type1', _id: '2'}},
+        source: {field1: 'b'},
+        error:  {type: 'mapper_parsing_exception'}
+      }
+    ];
+
+    manager.pushDeadLetters(entries).then(()=> {
+      return manager.getDeadLetterCount();
+    }).then((count)=> {
+      expect(count).to.eql(2);
+      return manager.getDeadLetters();
+    }).then((deadLetters)=> {
+      expect(deadLetters).to.eql(entries);
+      return manager.clearDeadLetters();
+    }).then(()=> {
+      return manager.getDeadLetterCount();
+    }).then((count)=> {
+      expect(count).to.eql(0);
+      done();
+    }).catch(done);
+  });
+
+  it('should save the reconciliation of jobs until completed jobs are cleared', (done)=> {
+    const job = {
+      index: 'index1',
+      type:  'type1',
+      count: 10
+    };
+
+    manager.queueJob(job).then(()=> {
+      return manager.fetchJob();
+    }).then((fetched)=> {
+      return manager.saveReconciliation(fetched, {
+        status: 'mismatch',
+        source: 10,
+        dest:   9
+      }).then(()=> {
+        return manager.completeJob(fetched);
+      });
+    }).then(()=> {
+      return manager.getReconciliation();
+    }).then((jobs)=> {
+      expect(jobs.length).to.eql(1);
+      expect(jobs[0].index).to.eql('index1');
+      expect(jobs[0].count).to.eql(10);
+      expect(jobs[0].reconciliation).to.eql({
+        status: 'mismatch',
+        source: 10,
+        dest:   9
+      });
+      return manager.clearCompletedJobs();
+    }).then(()=> {
+      return manager.getReconciliation();
+    }).then((jobs)=> {
+      expect(jobs).to.eql([]);
+      done();
+    }).catch(done);
+  });
+
+  it('should reject invalid since fields', ()=> {
+    const throws = ()=> {
+      manager.setSince({'logs-*': ''});
+    };
+    expect(throws).to.throw(/since must be a field name, or an object of index patterns to field names/);
+  });
+
+  it('should count only docs matching the query of each index', (done)=> {
+    manager.setQuery({match_all: {}});
+    manager.setQueries({
+      'numb*':  {range: {number: {gte: 5}}},
+      'other*': {match_all: {}}
+    });
+
+    addNumberedData(source).then(()=> {
+      return manager.prepareNewJobs('numbered');
+    }).then((jobs)=> {
+      expect(jobs.length).to.eql(1);
+      expect(jobs[0].query).to.eql({range: {number: {gte: 5}}});
+      return manager._addCountToJobs(jobs);
+    }).then((jobsWithCount)=> {
+      expect(jobsWithCount[0].count).to.eql(5);
+      done();
+    }).catch(done);
+  });
+
+  it('should use the global query for indices matching no pattern', (done)=> {
+    manager.setQuery({range: {number: {lt: 3}}});
+    manager.setQueries({'other*': {match_all: {}}});
+
+    addNumberedData(source).then(()=> {
+      return manager.prepareNewJobs('numbered');
+    }).then((jobs)=> {
+      expect(jobs[0].query).to.eql({range: {number: {lt: 3}}});
+      done();
+    }).catch(done);
+  });
+
+  it('should reject invalid queries', ()=> {
+    let throws = ()=> {
+      manager.setQuery('status:active');
+    };
+    expect(throws).to.throw(/query must be a query object/);
+
+    throws = ()=> {
+      manager.setQueries({'numb*': 'status:active'});
+    };
+    expect(throws).to.throw(/queries must be an object of index patterns to query objects/);
+  });
+
+  it('should queue and resume partitions of the same index and type separately', (done)=> {
+    const jobs = [
+      {
+        index: 'index1',
+        type:  'type1',
+        count: 22,
+        range: {field: 'number', gte: 0, lt: 10}
+      },
+      {
+        index: 'index1',
+        type:  'type1',
+        count: 15,
+        range: {field: 'number', gte: 10, lt: 20}
+      }
+    ];
+
+    Promise.each(jobs, manager.queueJob).then(()=> {
+      return manager.fetchJob();
+    }).then((job)=> {
+      expect(job.range).to.eql(jobs[0].range);
+      expect(job.count).to.eql(jobs[0].count);
+      return manager.completeJob(job);
+    }).then(()=> {
+      return manager.fetchJob();
+    }).then((job)=> {
+      expect(job.range).to.eql(jobs[1].range);
+      return manager.getCompletedJobs();
+    }).then((completed)=> {
+      expect(completed.length).to.eql(1);
+      expect(completed[0].range).to.eql(jobs[0].range);
+      done();
+    });
+  });
+
+  it('should create one job per primary shard', (done)=> {
+    manager.setSplitByShard(true);
+
+    source.indices.create({
+      index: 'sharded',
+      body:  {
+        settings: {
+          number_of_shards: 3
+        }
+      }
+    }).then(()=> {
+      return addNumberedData(source);
+    }).then(()=> {
+      return manager.prepareNewJobs('numbered');
+    }).then((jobs)=> {
+      // Default shard count of the source
+      expect(jobs.length).to.eql(5);
+      return manager.prepareNewJobs('sharded');
+    }).then((jobs)=> {
+      // No types in the index yet
+      expect(jobs.length).to.eql(0);
+
+      return source.bulk({
+        refresh: true,
+        body:    _.flatten(_.times(30, (n)=> {
+          return [
+            {
+              index: {
+                _index: 'sharded',
+                _type:  'shardedtype'
+              }
+            },
+            {number: n}
+          ];
+        }))
+      });
+    }).then(()=> {
+      return manager.prepareNewJobs('sharded');
+    }).then((jobs)=> {
+      expect(_.map(jobs, 'shard')).to.eql([0, 1, 2]);
+      return manager._addCountToJobs(jobs);
+    }).then((jobsWithCount)=> {
+      expect(_.sumBy(jobsWithCount, 'count')).to.eql(30);
+      expect(jobsWithCount[0].getSearchParams()).to.eql({preference: '_shards:0'});
+      done();
+    });
+  });
+
+  it('should create one job per slice', (done)=> {
+    manager.setSlices(3);
+
+    addNumberedData(source).then(()=> {
+      return manager.prepareNewJobs('numbered');
+    }).then((jobs)=> {
+      expect(_.map(jobs, 'slice')).to.eql([
+        {id: 0, max: 3},
+        {id: 1, max: 3},
+        {id: 2, max: 3}
+      ]);
+
+      manager.setSlices('auto');
+      return manager.prepareNewJobs('numbered');
+    }).then((jobs)=> {
+      // Default shard count of the source
+      expect(jobs.length).to.eql(5);
+      expect(jobs[0].slice).to.eql({id: 0, max: 5});
+      done();
+    });
+  });
+
+  it('should reject invalid slices', ()=> {
+    let throws = ()=> {
+      manager.setSlices(0);
+    };
+    expect(throws).to.throw(/must be an integer gte 1 or 'auto'/);
+
+    throws = ()=> {
+      manager.setSlices('lots');
+    };
+    expect(throws).to.throw(/must be an integer gte 1 or 'auto'/);
+  });
+
+  it('should reject splitting by shard along with slices, whichever is set first', ()=> {
+    manager.setSplitByShard(true);
+
+    let throws = ()=> {
+      manager.setSlices(3);
+    };
+    expect(throws).to.throw(/splitByShard and slices cannot be used together/);
+
+    manager.setSplitByShard(false);
+    manager.setSlices(3);
+
+    throws = ()=> {
+      manager.setSplitByShard(true);
+    };
+    expect(throws).to.throw(/splitByShard and slices cannot be used together/);
+  });
+
+  it('should keep the jobs of different runs apart', (done)=> {
+    const job = {
+      index: 'index1',
+      type:  'type1',
+      count: 22
+    };
+
+    manager.setRunId('team_a');
+
+    manager.queueJob(job).then(()=> {
+      manager.setRunId('team_b');
+      return manager.fetchJob();
+    }).then((fetched)=> {
+      expect(fetched).to.be.null;
+      manager.setRunId(null);
+      return manager.fetchJob();
+    }).then((fetched)=> {
+      expect(fetched).to.be.null;
+      manager.setRunId('team_a');
+      return manager.fetchJob();
+    }).then((fetched)=> {
+      expect(fetched.index).to.eql(job.index);
+      done();
+    });
+  });
+
+  it('should list and delete runs', (done)=> {
+    manager.setIndexComparator((a, b)=> {
+      return a.localeCompare(b);
+    });
+
+    addData(source).then(()=> {
+      manager.setRunId('team_a');
+      return manager.initialize('*');
+    }).then(()=> {
+      return manager.fetchJob();
+    }).then((job)=> {
+      return manager.completeJob(job);
+    }).then(()=> {
+      manager.setRunId('team_b');
+      return manager.initialize('myindex3');
+    }).then(()=> {
+      return manager.listRuns();
+    }).then((runs)=> {
+      expect(_.map(runs, 'runId')).to.eql(['team_a', 'team_b']);
+      expect(runs[0].backlogJobs).to.eql(4);
+      expect(runs[0].backlogCount).to.eql(5);
+      expect(runs[0].completedJobs).to.eql(1);
+      expect(runs[0].completedCount).to.eql(1);
+      expect(runs[1].backlogJobs).to.eql(2);
+      expect(runs[1].completedJobs).to.eql(0);
+
+      return manager.deleteRun('team_a').then(()=> {
+        done('should not delete a run with a backlog');
+      }).catch((error)=> {
+        expect(error.message).to.match(/still has 5 docs in its backlog/);
+        return manager.deleteRun('team_a', true);
+      });
+    }).then(()=> {
+      return manager.listRuns();
+    }).then((runs)=> {
+      expect(_.map(runs, 'runId')).to.eql(['team_b']);
+      return redis.keys('team_a:*');
+    }).then((keys)=> {
+      expect(keys).to.eql([]);
+      done();
+    });
+  });
+
+  it('should reject invalid run ids', ()=> {
+    const throws = ()=> {
+      manager.setRunId('has:colon');
+    };
+    expect(throws).to.throw(/must be a string of letters, numbers, '_' or '-'/);
+  });
+
+  it('should keep claimed jobs in progress until completed', (done)=> {
+    const jobs = [
+      {
+        index: 'index1',
+        type:  'type1',
+        count: 22
+      },
+      {
+        index: 'index2',
+        type:  'type1',
+        count: 15
+      }
+    ];
+
+    Promise.each(jobs, manager.queueJob).then(()=> {
+      return manager.fetchJob();
+    }).then((job)=> {
+      return manager.getInProgressJobs().then((inProgress)=> {
+        expect(inProgress.length).to.eql(1);
+        expect(inProgress[0].getID()).to.eql(job.getID());
+        return manager.renewLease(job);
+      }).then((renewed)=> {
+        expect(renewed).to.be.true;
+        return manager.completeJob(job);
+      });
+    }).then(()=> {
+      return manager.getInProgressCount();
+    }).then((count)=> {
+      expect(count).to.eql(0);
+      done();
+    });
+  });
+
+  it('should not give a lease again to a job released in between', (done)=> {
+    manager.queueJob({
+      index: 'index1',
+      type:  'type1',
+      count: 22
+    }).then(()=> {
+      return manager.fetchJob();
+    }).then((job)=> {
+      return redis.hdel('leases', job.getID()).then(()=> {
+        return manager.renewLease(job);
+      }).then((renewed)=> {
+        expect(renewed).to.be.false;
+        return redis.hget('leases', job.getID());
+      });
+    }).then((lease)=> {
+      expect(lease).to.be.null;
+      done();
+    }).catch(done);
+  });
+
+  it('should requeue jobs with expired leases', (done)=> {
+    const jobs = [
+      {
+        index: 'index1',
+        type:  'type1',
+        count: 22
+      },
+      {
+        index: 'index2',
+        type:  'type1',
+        count: 15
+      }
+    ];
+
+    let claimed = null;
+
+    Promise.each(jobs, manager.queueJob).then(()=> {
+      return manager.fetchJob();
+    }).then((job)=> {
+      claimed = job;
+      return manager.requeueExpiredJobs();
+    }).then((requeued)=> {
+      expect(requeued).to.eql(0);
+
+      // Pretend the worker holding the job died a while ago
+      return redis.hset('leases', claimed.getID(), JSON.stringify({
+        owner:   'somewhere-else:1234',
+        expires: 0
+      }));
+    }).then(()=> {
+      return manager.renewLease(claimed);
+    }).then((renewed)=> {
+      expect(renewed).to.be.false;
+      return Promise.all([
+        manager.requeueExpiredJobs(),
+        manager.requeueExpiredJobs()
+      ]);
+    }).then((requeued)=> {
+      expect(requeued[0] + requeued[1]).to.eql(1);
+      return manager.getInProgressCount();
+    }).then((count)=> {
+      expect(count).to.eql(0);
+      return manager.fetchJob();
+    }).then((job)=> {
+      expect(job.index).to.eql('index2');
+      return manager.fetchJob();
+    }).then((job)=> {
+      expect(job.getID()).to.eql(claimed.getID());
+      expect(job.count).to.eql(claimed.count);
+      done();
+    });
+  });
+
+  it('should mark jobs as failed after max attempts', (done)=> {
+    const job = {
+      index: 'index1',
+      type:  'type1',
+      count: 22
+    };
+
+    manager.setMaxAttempts(2);
+
+    manager.queueJob(job).then(()=> {
+      return manager.fetchJob();
+    }).then((fetched)=> {
+      return manager.failJob(fetched, new Error('first error'));
+    }).then((failed)=> {
+      expect(failed).to.be.false;
+      return manager.fetchJob();
+    }).then((fetched)=> {
+      expect(fetched.index).to.eql(job.index);
+      return manager.failJob(fetched, 'second error');
+    }).then((failed)=> {
+      expect(failed).to.be.true;
+      return manager.fetchJob();
+    }).then((fetched)=> {
+      expect(fetched).to.be.null;
+      return manager.getInProgressCount();
+    }).then((count)=> {
+      expect(count).to.eql(0);
+      return manager.getFailedJobs();
+    }).then((failedJobs)=> {
+      expect(failedJobs.length).to.eql(1);
+      expect(failedJobs[0].index).to.eql(job.index);
+      expect(failedJobs[0].attempts).to.eql(2);
+      expect(failedJobs[0].lastError).to.eql('second error');
+      expect(failedJobs[0].lastErrorAt).to.be.a('string');
+      return manager.getFailedCount();
+    }).then((count)=> {
+      expect(count).to.eql(22);
+      return manager.requeueFailedJobs();
+    }).then((requeued)=> {
+      expect(requeued).to.eql(1);
+      return manager.fetchJob();
+    }).then((fetched)=> {
+      expect(fetched.index).to.eql(job.index);
+      return manager.failJob(fetched, 'after requeue');
+    }).then((failed)=> {
+      // Attempts start over once requeued
+      expect(failed).to.be.false;
+      done();
+    });
+  });
+
+  it('should reject invalid max attempts', ()=> {
+    const throws = ()=> {
+      manager.setMaxAttempts(0);
+    };
+    expect(throws).to.throw(/must be an integer gte 1/);
+  });
+
+  it('should save checkpoints until the job is completed', (done)=> {
+    const job = {
+      index: 'index1',
+      type:  'type1',
+      count: 22
+    };
+
+    const checkpoint = {
+      field:       'value',
+      sort:        [10, 'type1#10'],
+      transferred: 11
+    };
+
+    manager.queueJob(job).then(()=> {
+      return manager.fetchJob();
+    }).then((fetched)=> {
+      return manager.getCheckpoint(fetched).then((saved)=> {
+        expect(saved).to.be.null;
+        return manager.saveCheckpoint(fetched, checkpoint);
+      }).then(()=> {
+        return manager.failJob(fetched, 'interrupted');
+      });
+    }).then(()=> {
+      return manager.fetchJob();
+    }).then((fetched)=> {
+      return manager.getCheckpoint(fetched).then((saved)=> {
+        expect(saved).to.eql(checkpoint);
+        return manager.completeJob(fetched);
+      }).then(()=> {
+        return manager.getCheckpoint(fetched);
+      });
+    }).then((saved)=> {
+      expect(saved).to.be.null;
+      done();
+    }).catch(done);
+  });
+
   afterEach((done)=> {
     manager._resetFiltersAndComparators();
 
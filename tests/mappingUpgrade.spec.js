@@ -0,0 +1,129 @@
+/*eslint no-magic-numbers: "off"*/
+const expect         = require('chai').expect;
+const mappingUpgrade = require('../app/mappingUpgrade');
+
+describe('mapping upgrade', () => {
+  const createMappings = ()=> {
+    return {
+      type1: {
+        _all:              {enabled: false},
+        _timestamp:        {enabled: true},
+        dynamic_templates: [
+          {
+            strings: {
+              match_mapping_type: 'string',
+              mapping:            {
+                type:  'string',
+                index: 'not_analyzed'
+              }
+            }
+          }
+        ],
+        properties:        {
+          host_name: {
+            type:     'string',
+            index:    'not_analyzed',
+            analyzer: 'standard'
+          },
+          message:   {
+            type:   'string',
+            norms:  {enabled: false},
+            fields: {
+              raw: {
+                type:  'string',
+                index: 'not_analyzed'
+              }
+            }
+          },
+          user:      {
+            properties: {
+              age: {
+                type:           'integer',
+                store:          'yes',
+                include_in_all: false
+              }
+            }
+          }
+        }
+      }
+    };
+  };
+
+  it('should upgrade mappings to 5.x and report every change', ()=> {
+    const mappings = createMappings();
+    const changes  = mappingUpgrade.upgradeMappings(mappings, '5.x');
+
+    expect(mappings).to.eql({
+      type1: {
+        dynamic_templates: [
+          {
+            strings: {
+              match_mapping_type: 'string',
+              mapping:            {type: 'keyword'}
+            }
+          }
+        ],
+        properties:        {
+          host_name: {type: 'keyword'},
+          message:   {
+            type:   'text',
+            norms:  false,
+            fields: {
+              raw: {type: 'keyword'}
+            }
+          },
+          user:      {
+            properties: {
+              age: {
+                type:           'integer',
+                store:          true,
+                include_in_all: false
+              }
+            }
+          }
+        }
+      }
+    });
+    expect(changes).to.include('type1: removed _all');
+    expect(changes).to.include('type1: removed _timestamp');
+    expect(changes).to.include('type1.host_name: removed analyzer, not accepted by keyword');
+    expect(changes).to.include('type1.host_name: string (not_analyzed) to keyword');
+    expect(changes).to.include('type1.message: string to text');
+    expect(changes).to.include('type1.message.raw: string (not_analyzed) to keyword');
+    expect(changes).to.include('type1.user.age: store \'yes\' to true');
+  });
+
+  it('should also remove include_in_all when upgrading to 6.x', ()=> {
+    const mappings = createMappings();
+    const changes  = mappingUpgrade.upgradeMappings(mappings, '6.x');
+
+    expect(mappings.type1.properties.user.properties.age).to.eql({
+      type:  'integer',
+      store: true
+    });
+    expect(changes).to.include('type1.user.age: removed include_in_all');
+  });
+
+  it('should create index and template mutators', ()=> {
+    const mutators = mappingUpgrade.createMutators('5.x');
+    const index    = {
+      name:     'index1',
+      mappings: createMappings()
+    };
+
+    expect(mutators.length).to.eql(2);
+    expect(mutators[0].type).to.eql('index');
+    expect(mutators[1].type).to.eql('template');
+    expect(mutators[0].predicate(index)).to.be.true;
+    expect(mutators[0].predicate({name: 'index2'})).to.be.false;
+    expect(mutators[0].mutate(index).mappings.type1.properties.host_name).to.eql({type: 'keyword'});
+  });
+
+  it('should reject unsupported targets', ()=> {
+    const throws = ()=> {
+      mappingUpgrade.createMutators('2.x');
+    };
+
+    expect(throws).to.throw(/upgradeMappings: '2.x' must be one of: 5.x, 6.x/);
+  });
+});
@@ -0,0 +1,62 @@
+/*eslint no-magic-numbers: "off"*/
+const expect      = require('chai').expect;
+const Promise     = require('bluebird');
+const rateLimiter = require('../app/rateLimiter');
+
+describe('rate limiter', () => {
+  it('should validate rate limits', ()=> {
+    expect(rateLimiter.validateLimits(null)).to.eql({});
+    expect(rateLimiter.validateLimits({
+      docsPerSecond:  100,
+      bytesPerSecond: null
+    })).to.eql({docsPerSecond: 100});
+
+    expect(()=> {
+      rateLimiter.validateLimits({docs: 100});
+    }).to.throw(/rate limits: 'docs' not one of: \[docsPerSecond,bytesPerSecond\]/);
+
+    expect(()=> {
+      rateLimiter.validateLimits({bytesPerSecond: '5mb'});
+    }).to.throw(/rate limits: bytesPerSecond must be a number gt 0/);
+  });
+
+  it('should describe rate limits', ()=> {
+    expect(rateLimiter.describeLimits({})).to.eql('unlimited');
+    expect(rateLimiter.describeLimits({
+      docsPerSecond:  1000 / 3,
+      bytesPerSecond: 2048
+    })).to.eql('333.33 docs/sec, 2048 bytes/sec');
+  });
+
+  it('should not wait without limits', (done)=> {
+    const limiter = new rateLimiter.RateLimiter();
+    const started = Date.now();
+
+    Promise.each([1, 2, 3], ()=> {
+      return limiter.acquire(1000000, 1000000);
+    }).then(()=> {
+      expect(Date.now() - started).to.be.below(50);
+      done();
+    }).catch(done);
+  });
+
+  it('should pace acquisitions to the tightest limit once the burst is used up', (done)=> {
+    const limiter = new rateLimiter.RateLimiter({
+      docsPerSecond:  1000,
+      bytesPerSecond: 100000
+    });
+    const started = Date.now();
+
+    // The burst takes the first second at the limits, 10 docs of 1000 bytes take 100 msec each after that
+    Promise.each([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13], ()=> {
+      return limiter.acquire(10, 10000);
+    }).then(()=> {
+      const elapsed = Date.now() - started;
+      expect(elapsed).to.be.within(150, 400);
+
+      limiter.setLimits(null);
+      expect(limiter.getLimits()).to.eql({});
+      done();
+    }).catch(done);
+  });
+});
@@ -182,6 +182,90 @@ describe('transfer', function () {
     });
   });
 
+  it('should recreate an existing template with a single put', (done)=> {
+    const deleteTemplate = transfer.dest.indices.deleteTemplate;
+    let deletes          = 0;
+
+    transfer.dest.indices.deleteTemplate = function () {
+      deletes++;
+      return deleteTemplate.apply(this, arguments);
+    };
+
+    transfer.dest.indices.putTemplate({
+      name: 'test_template',
+      body: {template: 'old*'}
+    }).then(()=> {
+      return transfer.putTemplates([
+        {
+          name:     'test_template',
+          template: 'te*'
+        }
+      ]);
+    }).then((summaries)=> {
+      transfer.dest.indices.deleteTemplate = deleteTemplate;
+      expect(_.map(summaries, 'action')).to.eql(['recreated']);
+      expect(deletes).to.eql(0);
+      return transfer.dest.indices.getTemplate({name: 'test_template'});
+    }).then((destTemplates)=> {
+      expect(destTemplates.test_template.template).to.eql('te*');
+      done();
+    }).catch((error)=> {
+      transfer.dest.indices.deleteTemplate = deleteTemplate;
+      done(error);
+    });
+  });
+
+  it('should merge compatible changes into an existing template when updating mappings', (done)=> {
+    transfer.setTemplateConflict('updateMappings');
+
+    transfer.dest.indices.putTemplate({
+      name: 'test_template',
+      body: {
+        template: 'te*',
+        mappings: {
+          type1: {
+            properties: {
+              host_name: {type: 'string'}
+            }
+          }
+        }
+      }
+    }).then(()=> {
+      return transfer.putTemplates([
+        {
+          name:     'test_template',
+          template: 'te*',
+          mappings: {
+            type1: {
+              properties: {
+                host_name: {type: 'long'},
+                port:      {type: 'long'}
+              }
+            }
+          }
+        }
+      ]);
+    }).then((summaries)=> {
+      expect(summaries[0].action).to.eql('updated');
+      expect(summaries[0].rejected.length).to.eql(1);
+      expect(summaries[0].rejected[0].part).to.eql('mappings.type1.properties.host_name.type');
+      return transfer.dest.indices.getTemplate({name: 'test_template'});
+    }).then((destTemplates)=> {
+      const properties = destTemplates.test_template.mappings.type1.properties;
+      expect(properties.host_name.type).to.eql('string');
+      expect(properties.port.type).to.eql('long');
+      done();
+    }).catch(done);
+  });
+
+  it('should reject invalid conflict policies', ()=> {
+    const throws = ()=> {
+      transfer.setIndexConflict('merge');
+    };
+
+    expect(throws).to.throw(/conflict policy 'merge' not one of: \[fail,skip,recreate,updateMappings\]/);
+  });
+
   it('should get indices', (done)=> {
     const index = {
       settings: {
@@ -285,6 +369,65 @@ describe('transfer', function () {
     });
   });
 
+  it('should not create indices in a dry run', (done)=> {
+    transfer.setDryRun(true);
+
+    transfer.source.indices.create({
+      index: 'twitter1',
+      body:  {settings: {number_of_shards: 1}}
+    }).then(()=> {
+      return transfer.transferIndices('twitter1');
+    }).then(()=> {
+      return transfer.dest.indices.exists({index: 'twitter1'});
+    }).then((exists)=> {
+      expect(exists).to.be.false;
+      done();
+    }).catch(done);
+  });
+
+  it('should follow the index conflict policy when an index exists in the destination', (done)=> {
+    const index = ()=> {
+      return {
+        name:     'twitter1',
+        settings: {index: {number_of_shards: 1}}
+      };
+    };
+
+    transfer.putIndices([index()]).then(()=> {
+      return transfer.putIndices([index()]);
+    }).then(()=> {
+      done('fail');
+    }).catch((error)=> {
+      expect(error.message).to.eql('index: twitter1 already exists in the destination');
+
+      transfer.setIndexConflict('skip');
+      return transfer.putIndices([index()]).then((summaries)=> {
+        expect(summaries).to.eql([
+          {
+            name:     'twitter1',
+            action:   'skipped',
+            rejected: []
+          }
+        ]);
+
+        transfer.setIndexConflict('updateMappings');
+        return transfer.putIndices([_.assign(index(), {settings: {index: {number_of_shards: 2, number_of_replicas: 2}}})]);
+      }).then((summaries)=> {
+        expect(summaries[0].action).to.eql('updated');
+        expect(summaries[0].rejected).to.eql([
+          {
+            part:  'settings.index.number_of_shards',
+            error: 'cannot be changed on an existing index'
+          }
+        ]);
+        return transfer.dest.indices.getSettings({index: 'twitter1'});
+      }).then((response)=> {
+        expect(response.twitter1.settings.index.number_of_replicas).to.eql('2');
+        done();
+      });
+    }).catch(done);
+  });
+
   it('should reject if there is an error during put indices', (done)=> {
     const indices = [
       {
@@ -354,6 +497,15 @@ describe('transfer', function () {
     done();
   });
 
+  it('should throw if searchParams is not an object', (done)=> {
+    const throws = ()=> {
+      transfer.transferData('myindex', 'mytype', {}, 'params');
+    };
+
+    expect(throws).to.throw(/if provided, searchParams must be an object/);
+    done();
+  });
+
   it('should reject if index does not exist', (done)=> {
     transfer.transferData('notthere', 'mytype1').then(()=> {
       done('fail');
@@ -394,6 +546,174 @@ describe('transfer', function () {
     });
   });
 
+  it('should stop the transfer when the flush gate rejects', (done)=> {
+    let flushes = 0;
+
+    transfer.setFlushGate(()=> {
+      flushes++;
+      return Promise.reject(new Error('transfer cancelled'));
+    });
+
+    addLotsOfData().then(()=> {
+      return transfer.transferData('myindex1', 'mytype1', {});
+    }).then(()=> {
+      done('fail');
+    }).catch((error)=> {
+      expect(error.message).to.eql('transfer cancelled');
+      expect(flushes).to.eql(1);
+      done();
+    });
+  });
+
+  it('should not send docs queued by a failed transfer with the next one', (done)=> {
+    let pages = 0;
+
+    transfer.setSizes({
+      scrollSize:  5,
+      bulkActions: 100
+    });
+    transfer.setScrollGate(()=> {
+      pages++;
+      return pages > 1 ? Promise.reject(new Error('transfer failed')) : Promise.resolve();
+    });
+
+    addLotsOfData().then(()=> {
+      return transfer.transferData('myindex1', 'mytype1', {});
+    }).then(()=> {
+      done('fail');
+    }).catch((error)=> {
+      expect(error.message).to.eql('transfer failed');
+      transfer.setScrollGate(null);
+
+      return transfer.source.bulk({
+        refresh: true,
+        body:    [
+          {index: {_index: 'myindex2', _type: 'mytype1', _id: 'a'}},
+          {someField_1: 'something else'}
+        ]
+      }).then(()=> {
+        return transfer.transferData('myindex2', 'mytype1', {});
+      }).then((transferred)=> {
+        expect(transferred).to.eql(1);
+        return transfer.dest.indices.refresh();
+      }).then(()=> {
+        return transfer.dest.search({index: '*', size: 100});
+      }).then((response)=> {
+        expect(_.map(response.hits.hits, '_index')).to.eql(['myindex2']);
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('should flush on the max bulk actions with the configured sizes', (done)=> {
+    const flushes = [];
+
+    transfer.setSizes({
+      bulkActions: 100,
+      indices:     {
+        'myindex*': {
+          scrollSize:  3,
+          bulkActions: 7
+        }
+      }
+    });
+    transfer.setUpdateCallback((status)=> {
+      flushes.push(status.tick);
+    });
+
+    addLotsOfData().then(()=> {
+      return transfer.transferData('myindex1', 'mytype1', {});
+    }).then((transferred)=> {
+      expect(transferred).to.eql(20);
+      expect(flushes).to.eql([7, 7, 6]);
+      done();
+    }).catch(done);
+  });
+
+  it('should keep several bulks in flight and transfer every doc', (done)=> {
+    const ticks = [];
+
+    transfer.setSizes({
+      scrollSize:      3,
+      bulkActions:     4,
+      bulkConcurrency: 3
+    });
+    transfer.setUpdateCallback((status)=> {
+      ticks.push(status.tick);
+    });
+
+    addLotsOfData().then(()=> {
+      return transfer.transferData('myindex1', 'mytype1', {});
+    }).then((transferred)=> {
+      expect(transferred).to.eql(20);
+      expect(ticks).to.eql([4, 4, 4, 4, 4]);
+      return transfer.dest.indices.refresh();
+    }).then(()=> {
+      return transfer.dest.count({index: 'myindex1'});
+    }).then((response)=> {
+      expect(response.count).to.eql(20);
+      done();
+    }).catch(done);
+  });
+
+  it('should hand docs the destination fails to the dead letter handler and go on', (done)=> {
+    const deadLetters = [];
+
+    transfer.setDeadLetterHandler((failed)=> {
+      deadLetters.push.apply(deadLetters, failed);
+      return Promise.resolve();
+    });
+
+    transfer.dest.indices.create({
+      index: 'myindex1',
+      body:  {
+        mappings: {
+          mytype1: {
+            properties: {
+              someField_1: {type: 'integer'}
+            }
+          }
+        }
+      }
+    }).then(addLotsOfData).then(()=> {
+      return transfer.transferData('myindex1', 'mytype1', {});
+    }).then((transferred)=> {
+      expect(transferred).to.eql(0);
+      expect(deadLetters.length).to.eql(20);
+      expect(deadLetters[0].action.update._index).to.eql('myindex1');
+      expect(deadLetters[0].source.someField_1).to.match(/something/);
+      expect(deadLetters[0].error.type).to.eql('mapper_parsing_exception');
+      done();
+    }).catch(done);
+  });
+
+  it('should override sizes by index pattern', ()=> {
+    transfer.setSizes({
+      scrollSize: 500,
+      indices:    {
+        'logs-*':      {bulkBytes: 1024},
+        'logs-huge-*': {scrollSize: 10}
+      }
+    });
+
+    expect(transfer.getSizes('logs-huge-1')).to.eql({
+      scrollSize:      10,
+      scrollTimeout:   '1m',
+      bulkActions:     225,
+      bulkBytes:       1024,
+      bulkConcurrency: 1
+    });
+    expect(transfer.getSizes('other').scrollSize).to.eql(500);
+  });
+
+  it('should reject invalid sizes', ()=> {
+    const throws = ()=> {
+      transfer.setSizes({indices: {'logs-*': {bulkBytes: '1mb'}}});
+    };
+
+    expect(throws).to.throw(/sizes of 'logs-\*': bulkBytes must be an integer gte 1/);
+  });
+
   it('load all mutators from directory', ()=> {
     expect(_.size(transfer.getMutators())).to.eql(0);
 
@@ -585,6 +905,97 @@ describe('transfer', function () {
     });
   });
 
+  it('should count docs in the indices a data mutator renamed to when reconciling', (done)=> {
+    transfer.loadMutators(`${__dirname}/testMutators/dataMutator.js`);
+
+    source.create({
+      index: 'something_1990-05-21',
+      type:  'sometype',
+      body:  {field: 'daata'}
+    }).then(()=> {
+      return source.indices.refresh();
+    }).then(()=> {
+      return transfer.transferData('something_1990-05-21', 'sometype');
+    }).then(()=> {
+      return transfer.reconcileData('something_1990-05-21', 'sometype', {query: {match_all: {}}});
+    }).then((counts)=> {
+      expect(counts).to.eql({
+        source: 1,
+        dest:   1
+      });
+      done();
+    }).catch(done);
+  });
+
+  it('should report sampled docs that are missing or different in the destination', (done)=> {
+    transfer.loadMutators(`${__dirname}/testMutators/dataMutator.js`);
+
+    source.bulk({
+      refresh: true,
+      body:    [
+        {index: {_index: 'something_1990-05-21', _type: 'sometype', _id: '1'}},
+        {field: 'daata', nested: {value: 1}},
+        {index: {_index: 'something_1990-05-21', _type: 'sometype', _id: '2'}},
+        {field: 'more daata'}
+      ]
+    }).then(()=> {
+      return dest.bulk({
+        refresh: true,
+        body:    [
+          {index: {_index: 'something_1990-05', _type: 'sometype', _id: '1'}},
+          {field: 'daata', nested: {value: 2}}
+        ]
+      });
+    }).then(()=> {
+      return transfer.verifyData('something_1990-05-21', 'sometype', 10);
+    }).then((summary)=> {
+      expect(summary.sampled).to.eql(2);
+      expect(summary.missing).to.eql([{_index: 'something_1990-05', _type: 'sometype', _id: '2'}]);
+      expect(summary.different).to.eql([
+        {
+          _index: 'something_1990-05',
+          _type:  'sometype',
+          _id:    '1',
+          fields: [
+            {
+              field:  'nested.value',
+              source: 1,
+              dest:   2
+            }
+          ]
+        }
+      ]);
+      done();
+    }).catch(done);
+  });
+
+  it('should preview docs before and after data mutators', (done)=> {
+    transfer.loadMutators(`${__dirname}/testMutators/dataMutator.js`);
+
+    source.create({
+      index:   'something_1990-05-21',
+      type:    'sometype',
+      body:    {field: 'daata'},
+      refresh: true
+    }).then(()=> {
+      return transfer.previewData('something_1990-05-21', 'sometype', 3);
+    }).then((previews)=> {
+      expect(previews.length).to.eql(1);
+      expect(previews[0].before._index).to.eql('something_1990-05-21');
+      expect(previews[0].after._index).to.eql('something_1990-05');
+      expect(previews[0].after._source).to.eql({field: 'daata'});
+      done();
+    }).catch(done);
+  });
+
+  it('should throw if the sample size is not a positive integer', ()=> {
+    const throws = ()=> {
+      transfer.verifyData('myindex', 'mytype', 0);
+    };
+
+    expect(throws).to.throw(/size must be an integer gte 1/);
+  });
+
   // it('should recover from some errors', (done)=>{
   //   let results = {
   //     errors: 5,
@@ -617,6 +1028,13 @@ describe('transfer', function () {
   afterEach((done)=> {
     transfer.clearMutators();
     transfer.setUpdateCallback(null);
+    transfer.setFlushGate(null);
+    transfer.setScrollGate(null);
+    transfer.setDryRun(false);
+    transfer.setSizes(null);
+    transfer.setDeadLetterHandler(null);
+    transfer.setIndexConflict('fail');
+    transfer.setTemplateConflict('recreate');
 
     transfer.source.indices.deleteTemplate({name: '*'}).finally(()=> {
       return transfer.dest.indices.deleteTemplate({name: '*'});